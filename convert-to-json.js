@@ -1,15 +1,18 @@
 // convert-to-json.js
-// Reads exercises-data.js (which defines `const exercises = [...]`) and writes exercises-internal.json
+// Reads catalogue/exercises-data.js (which defines `const exercises = [...]`, see convert_exercises.py)
+// and writes catalogue/exercises-internal.json. Both hold test cases and solutions: catalogue/ must
+// never be served to browsers (only frontend/ is).
 
 const fs = require('fs');
 const vm = require('vm');
 const path = require('path');
 
-const srcPath = path.join(__dirname, 'frontend/exercises-data.js');
-const outPath = path.join(__dirname, 'exercises-internal.json');
+const catalogueDir = path.join(__dirname, 'catalogue');
+const srcPath = path.join(catalogueDir, 'exercises-data.js');
+const outPath = path.join(catalogueDir, 'exercises-internal.json');
 
 if (!fs.existsSync(srcPath)) {
-  console.error('Error: exercises-data.js not found in', __dirname);
+  console.error('Error: exercises-data.js not found in', catalogueDir);
   process.exit(2);
 }
 
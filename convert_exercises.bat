@@ -4,12 +4,8 @@ python convert_exercises.py
 if %errorlevel% equ 0 (
     echo.
     echo Conversion completed successfully!
-    echo You can now open index.html in your browser to test the exercises.
-    echo.
-    echo To deploy to GitHub Pages:
-    echo 1. Create a new GitHub repository
-    echo 2. Upload all files to the repository
-    echo 3. Enable GitHub Pages in repository settings
+    echo Run "node convert-to-json.js" to write catalogue\exercises-internal.json for the server.
+    echo Publish only the frontend folder: catalogue holds the solutions.
     echo.
 ) else (
     echo.
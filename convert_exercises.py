@@ -134,11 +134,12 @@ def generate_exercises_js(base_dir):
     js_content += "];"
 
     # Write to file
-    output_path = os.path.join(base_dir, 'exercises-data.js')
+    # Holds the solutions: keep it in catalogue/, which is never served
+    output_path = os.path.join(base_dir, 'catalogue', 'exercises-data.js')
     with open(output_path, 'w', encoding='utf-8') as f:
         f.write(js_content)
 
-    print(f"\nGenerated exercises-data.js with {len(exercises)} exercises")
+    print(f"\nGenerated catalogue/exercises-data.js with {len(exercises)} exercises")
     return exercises
 
 if __name__ == "__main__":
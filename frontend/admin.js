@@ -0,0 +1,520 @@
+/**
+ * Exercise editor for instructors: create, edit and delete exercises and their
+ * test cases through the authoring API (/api/admin/exercises). Validate runs the
+ * reference solution against every test case; Save does the same first.
+ */
+const API_BASE = 'https://bikc.howest.be/bexercises/api';
+const TOKEN_KEY = 'bash-exercises-token';
+const DEFAULT_SOLUTION = '#!/bin/bash\n\n';
+const COMPARATORS = ['trim', 'exact', 'trim-trailing', 'ignore-case', 'regex', 'unordered-lines', 'numeric'];
+const DEFAULT_FIXTURE_MODE = '644';
+
+class ExerciseEditor {
+	constructor() {
+		this.authToken = localStorage.getItem(TOKEN_KEY);
+		this.exercises = [];
+		this.fixtures = [];
+		// The exercise in the form, including the settings the form does not show
+		this.exercise = null;
+		// Its ETag when it was loaded or saved: saving and deleting send it as If-Match,
+		// so they fail instead of overwriting someone else's changes
+		this.version = null;
+		this.isNew = false;
+
+		this.init();
+	}
+
+	async init() {
+		if (!this.authToken) {
+			this.showMessage('Log in with an instructor account on the exercises page first.');
+			return;
+		}
+
+		try {
+			const resp = await this.apiFetch('/auth/me');
+			if (!resp.ok) {
+				this.showMessage('Your session has expired. Log in again on the exercises page.');
+				return;
+			}
+			const { user } = await resp.json();
+			document.getElementById('admin-user').textContent = `👤 ${user.displayName}`;
+			if (user.role !== 'instructor' && user.role !== 'admin') {
+				this.showMessage('The exercise editor is only available to instructors.');
+				return;
+			}
+		} catch (err) {
+			console.error('Failed to check session:', err);
+			this.showMessage('Could not reach the server.');
+			return;
+		}
+
+		this.setupEventListeners();
+		await this.loadFixtures();
+		await this.loadExercises();
+		const exerciseId = new URLSearchParams(window.location.search).get('exercise');
+		if (exerciseId) this.openExercise(exerciseId);
+	}
+
+	// fetch() against the API with the session token
+	apiFetch(apiPath, options = {}) {
+		const headers = { ...(options.headers || {}), Authorization: `Bearer ${this.authToken}` };
+		return fetch(`${API_BASE}${apiPath}`, { ...options, headers });
+	}
+
+	// POST/PUT a JSON body; resolves { resp, data }
+	async sendJson(method, apiPath, body, headers = {}) {
+		const resp = await this.apiFetch(apiPath, {
+			method,
+			headers: { ...headers, 'Content-Type': 'application/json' },
+			body: JSON.stringify(body)
+		});
+		const data = await resp.json().catch(() => ({}));
+		return { resp, data };
+	}
+
+	setupEventListeners() {
+		document.getElementById('exercise-select').addEventListener('change', (e) => {
+			if (e.target.value) this.openExercise(e.target.value);
+		});
+		document.getElementById('new-exercise').addEventListener('click', () => this.newExercise());
+		document.getElementById('field-description').addEventListener('input', () => this.renderPreview());
+		document.getElementById('field-reveal-policy').addEventListener('change', () => this.updateRevealFields());
+		document.getElementById('add-test-case').addEventListener('click', () => {
+			this.exercise.testCases = this.readTestCases();
+			this.exercise.testCases.push({ arguments: [], expectedOutput: '', expectedExitCode: 0 });
+			this.renderTestCases();
+		});
+		document.getElementById('validate-exercise').addEventListener('click', () => this.validate());
+		document.getElementById('exercise-form').addEventListener('submit', (e) => {
+			e.preventDefault();
+			this.save();
+		});
+		document.getElementById('delete-exercise').addEventListener('click', () => this.deleteExercise());
+	}
+
+	async loadFixtures() {
+		try {
+			const resp = await this.apiFetch('/admin/fixtures');
+			if (resp.ok) this.fixtures = await resp.json();
+		} catch (err) {
+			console.error('Failed to load fixtures:', err);
+		}
+	}
+
+	async loadExercises() {
+		try {
+			const resp = await this.apiFetch('/admin/exercises');
+			const data = await resp.json();
+			if (!resp.ok) {
+				this.showMessage(data.error || 'Failed to load the exercises.');
+				return;
+			}
+			this.exercises = data;
+		} catch (err) {
+			console.error('Failed to load exercises:', err);
+			this.showMessage('Failed to load the exercises.');
+			return;
+		}
+
+		const sorted = [...this.exercises].sort((a, b) =>
+			(a.chapter || '').localeCompare(b.chapter || '') || (a.order || 0) - (b.order || 0));
+		const select = document.getElementById('exercise-select');
+		select.innerHTML = '<option value="">Choose an exercise...</option>' + sorted.map(ex => `
+			<option value="${this.escapeHtml(ex.id)}">${this.escapeHtml(ex.chapter || 'Uncategorized')} - ${this.escapeHtml(ex.title)}</option>
+		`).join('');
+		if (this.exercise && !this.isNew) select.value = this.exercise.id;
+
+		const chapters = [...new Set(this.exercises.map(ex => ex.chapter).filter(Boolean))];
+		document.getElementById('chapter-list').innerHTML = chapters
+			.map(chapter => `<option value="${this.escapeHtml(chapter)}">`)
+			.join('');
+	}
+
+	// Load the exercise as it is now (the list may be older) with its version
+	async openExercise(exerciseId) {
+		let exercise;
+		try {
+			const resp = await this.apiFetch(`/admin/exercises/${encodeURIComponent(exerciseId)}`);
+			exercise = await resp.json().catch(() => ({}));
+			if (resp.status === 404) {
+				this.showMessage(`There is no exercise "${exerciseId}".`);
+				return;
+			}
+			if (!resp.ok) throw new Error(exercise.error || `Server error: ${resp.status}`);
+			this.version = resp.headers.get('ETag');
+		} catch (err) {
+			this.showMessage('Failed to load the exercise: ' + err.message);
+			return;
+		}
+		this.exercise = exercise;
+		this.isNew = false;
+		document.getElementById('exercise-select').value = exerciseId;
+		const url = new URL(window.location);
+		url.searchParams.set('exercise', exerciseId);
+		window.history.replaceState({}, '', url);
+		this.showMessage('');
+		this.fillForm();
+	}
+
+	newExercise() {
+		this.exercise = {
+			id: '',
+			title: '',
+			chapter: '',
+			description: '',
+			solution: DEFAULT_SOLUTION,
+			testCases: [{ arguments: [], expectedOutput: '', expectedExitCode: 0 }]
+		};
+		this.version = null;
+		this.isNew = true;
+		document.getElementById('exercise-select').value = '';
+		const url = new URL(window.location);
+		url.searchParams.delete('exercise');
+		window.history.replaceState({}, '', url);
+		this.showMessage('New exercise: it is created when you save it.');
+		this.fillForm();
+	}
+
+	fillForm() {
+		const ex = this.exercise;
+		document.getElementById('exercise-form').style.display = 'block';
+		const idField = document.getElementById('field-id');
+		idField.value = ex.id;
+		// The submission history is keyed by the id
+		idField.readOnly = !this.isNew;
+		document.getElementById('field-title').value = ex.title || '';
+		document.getElementById('field-chapter').value = ex.chapter || '';
+		document.getElementById('field-order').value = ex.order != null ? ex.order : '';
+		document.getElementById('field-description').value = ex.description || '';
+		document.getElementById('field-solution').value = ex.solution || '';
+		document.getElementById('field-hints').value = (ex.hints || []).join('\n');
+
+		const reveal = ex.reveal || {};
+		document.getElementById('field-reveal-policy').value = reveal.policy || '';
+		document.getElementById('field-reveal-attempts').value = reveal.attempts || 5;
+		document.getElementById('field-reveal-deadline').value = reveal.deadline ? this.toLocalInput(reveal.deadline) : '';
+		this.updateRevealFields();
+
+		document.getElementById('delete-exercise').style.display = this.isNew ? 'none' : '';
+		document.getElementById('validation-results').innerHTML = '';
+		this.renderPreview();
+		this.renderTestCases();
+	}
+
+	renderPreview() {
+		document.getElementById('description-preview').innerHTML =
+			marked.parse(document.getElementById('field-description').value);
+	}
+
+	updateRevealFields() {
+		const policy = document.getElementById('field-reveal-policy').value;
+		document.getElementById('field-reveal-attempts').parentElement.style.display = policy === 'after-attempts' ? '' : 'none';
+		document.getElementById('field-reveal-deadline').parentElement.style.display = policy === 'after-deadline' ? '' : 'none';
+	}
+
+	// ---------- Test case table ----------
+	renderTestCases() {
+		const rows = this.exercise.testCases.map((tc, i) => {
+			const comparatorType = typeof tc.comparator === 'object' && tc.comparator ? tc.comparator.type : tc.comparator;
+			const comparatorOptions = COMPARATORS.map(type => `
+				<option value="${type}" ${type === (comparatorType || 'trim') ? 'selected' : ''}>${type}</option>
+			`).join('');
+			return `
+				<tr data-index="${i}">
+					<td>${i + 1}</td>
+					<td><textarea data-field="arguments" rows="3">${this.escapeHtml((tc.arguments || []).join('\n'))}</textarea></td>
+					<td><textarea data-field="input" rows="3">${this.escapeHtml((tc.input || []).join('\n'))}</textarea></td>
+					<td><textarea data-field="expectedOutput" rows="3" class="code-input">${this.escapeHtml(tc.expectedOutput || '')}</textarea></td>
+					<td><input type="number" data-field="expectedExitCode" min="0" max="255" value="${tc.expectedExitCode != null ? tc.expectedExitCode : 0}"></td>
+					<td><select data-field="comparator">${comparatorOptions}</select></td>
+					<td>${this.renderFixturePicker(tc)}</td>
+					<td class="admin-row-actions">
+						<button type="button" class="btn btn-secondary" data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+						<button type="button" class="btn btn-secondary" data-action="down" title="Move down" ${i === this.exercise.testCases.length - 1 ? 'disabled' : ''}>↓</button>
+						<button type="button" class="btn btn-danger" data-action="remove" title="Remove">✕</button>
+					</td>
+				</tr>
+			`;
+		}).join('');
+
+		const container = document.getElementById('test-case-table');
+		container.innerHTML = `
+			<table class="dashboard-table admin-test-cases">
+				<thead>
+					<tr>
+						<th>#</th><th>Arguments</th><th>Input lines</th><th>Expected output</th>
+						<th>Exit code</th><th>Comparator</th><th>Fixtures (mode)</th><th></th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+		`;
+
+		container.querySelectorAll('[data-action]').forEach(button => {
+			button.addEventListener('click', () => {
+				const index = Number(button.closest('tr').dataset.index);
+				this.changeTestCases(button.dataset.action, index);
+			});
+		});
+		container.querySelectorAll('.fixture-choice input[type="checkbox"]').forEach(cb => {
+			cb.addEventListener('change', () => {
+				cb.closest('.fixture-choice').querySelector('.fixture-mode').disabled = !cb.checked;
+			});
+		});
+	}
+
+	// A checkbox per file in fixtures/, with its permissions as octal
+	renderFixturePicker(tc) {
+		if (this.fixtures.length === 0) return '<span class="history-help">No fixtures</span>';
+		const used = tc.fixtures || [];
+		const permissions = tc.fixturePermissions || {};
+		return this.fixtures.map(name => {
+			const checked = used.includes(name);
+			const mode = permissions[name] != null ? permissions[name].toString(8) : DEFAULT_FIXTURE_MODE;
+			return `
+				<div class="fixture-choice">
+					<label><input type="checkbox" data-fixture="${this.escapeHtml(name)}" ${checked ? 'checked' : ''}> ${this.escapeHtml(name)}</label>
+					<input type="text" class="fixture-mode" data-fixture="${this.escapeHtml(name)}" value="${mode}" size="3" pattern="[0-7]{3}" ${checked ? '' : 'disabled'} title="Permissions (octal)">
+				</div>
+			`;
+		}).join('');
+	}
+
+	changeTestCases(action, index) {
+		const testCases = this.readTestCases();
+		if (action === 'remove') {
+			if (testCases.length === 1) {
+				alert('An exercise needs at least one test case.');
+				return;
+			}
+			testCases.splice(index, 1);
+		} else {
+			const other = action === 'up' ? index - 1 : index + 1;
+			[testCases[index], testCases[other]] = [testCases[other], testCases[index]];
+		}
+		this.exercise.testCases = testCases;
+		this.renderTestCases();
+	}
+
+	// The test cases as edited in the table; settings without a column are kept
+	readTestCases() {
+		return Array.from(document.querySelectorAll('#test-case-table tbody tr')).map(row => {
+			const tc = { ...this.exercise.testCases[Number(row.dataset.index)] };
+			const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+
+			tc.arguments = this.lines(field('arguments'));
+			const input = this.lines(field('input'));
+			if (input.length > 0) tc.input = input;
+			else delete tc.input;
+			tc.expectedOutput = field('expectedOutput');
+			tc.expectedExitCode = parseInt(field('expectedExitCode'), 10) || 0;
+
+			// Keep comparator options unless the type changed
+			const comparator = field('comparator');
+			const previousType = typeof tc.comparator === 'object' && tc.comparator ? tc.comparator.type : tc.comparator;
+			if (comparator !== (previousType || 'trim')) {
+				if (comparator === 'trim') delete tc.comparator;
+				else tc.comparator = comparator;
+			}
+
+			const fixtures = [];
+			const fixturePermissions = {};
+			row.querySelectorAll('.fixture-choice').forEach(choice => {
+				const cb = choice.querySelector('input[type="checkbox"]');
+				if (!cb.checked) return;
+				const name = cb.dataset.fixture;
+				fixtures.push(name);
+				const mode = choice.querySelector('.fixture-mode').value.trim();
+				if (/^[0-7]{3}$/.test(mode)) fixturePermissions[name] = parseInt(mode, 8);
+			});
+			if (fixtures.length > 0) {
+				tc.fixtures = fixtures;
+				tc.fixturePermissions = fixturePermissions;
+			} else {
+				delete tc.fixtures;
+				delete tc.fixturePermissions;
+			}
+			return tc;
+		});
+	}
+
+	// ---------- Saving ----------
+	// The exercise as edited in the form
+	readForm() {
+		const ex = { ...this.exercise };
+		ex.id = document.getElementById('field-id').value.trim();
+		ex.title = document.getElementById('field-title').value.trim();
+		ex.chapter = document.getElementById('field-chapter').value.trim();
+		const order = document.getElementById('field-order').value;
+		if (order !== '') ex.order = Number(order);
+		else delete ex.order;
+		ex.description = document.getElementById('field-description').value;
+		ex.solution = document.getElementById('field-solution').value;
+
+		const hints = this.lines(document.getElementById('field-hints').value).filter(hint => hint.trim() !== '');
+		if (hints.length > 0) ex.hints = hints;
+		else delete ex.hints;
+
+		const policy = document.getElementById('field-reveal-policy').value;
+		if (!policy) {
+			delete ex.reveal;
+		} else {
+			ex.reveal = { policy };
+			if (policy === 'after-attempts') {
+				ex.reveal.attempts = parseInt(document.getElementById('field-reveal-attempts').value, 10);
+			}
+			if (policy === 'after-deadline') {
+				const deadline = document.getElementById('field-reveal-deadline').value;
+				ex.reveal.deadline = deadline ? new Date(deadline).toISOString() : '';
+			}
+		}
+
+		ex.testCases = this.readTestCases();
+		return ex;
+	}
+
+	async validate() {
+		const exercise = this.readForm();
+		const button = document.getElementById('validate-exercise');
+		button.disabled = true;
+		button.textContent = 'Validating...';
+		try {
+			const { resp, data } = await this.sendJson('POST', '/admin/exercises/validate', exercise);
+			if (!resp.ok) throw new Error(data.error || `Server error: ${resp.status}`);
+			this.renderValidation(data);
+		} catch (err) {
+			this.showMessage('Failed to validate: ' + err.message);
+		} finally {
+			button.disabled = false;
+			button.textContent = 'Validate';
+		}
+	}
+
+	// Save after the reference solution passed every test case; when it does not,
+	// show the results and ask before saving anyway
+	async save() {
+		const exercise = this.readForm();
+		const apiPath = this.isNew ? '/admin/exercises' : `/admin/exercises/${encodeURIComponent(exercise.id)}`;
+		const method = this.isNew ? 'POST' : 'PUT';
+		const headers = this.version ? { 'If-Match': this.version } : {};
+		const button = document.getElementById('save-exercise');
+		button.disabled = true;
+		button.textContent = 'Saving...';
+		try {
+			let { resp, data } = await this.sendJson(method, `${apiPath}?validate=true`, exercise, headers);
+			if (resp.status === 422) {
+				this.renderValidation({ problems: [], passed: false, results: data.results });
+				if (!confirm('The solution does not pass every test case. Save anyway?')) {
+					this.showMessage('Not saved.');
+					return;
+				}
+				({ resp, data } = await this.sendJson(method, apiPath, exercise, headers));
+			}
+			if (resp.status === 400 && data.problems) {
+				this.renderValidation({ problems: data.problems, passed: false, results: [] });
+				this.showMessage('Not saved: fix the problems below.');
+				return;
+			}
+			if (!resp.ok) throw new Error(data.error || `Server error: ${resp.status}`);
+
+			if (data.validation) this.renderValidation({ problems: [], ...data.validation });
+			this.showMessage(`Saved "${data.exercise.title}".`);
+			this.isNew = false;
+			this.exercise = data.exercise;
+			this.version = resp.headers.get('ETag');
+			await this.loadExercises();
+			document.getElementById('field-id').readOnly = true;
+			document.getElementById('delete-exercise').style.display = '';
+			const url = new URL(window.location);
+			url.searchParams.set('exercise', data.exercise.id);
+			window.history.replaceState({}, '', url);
+		} catch (err) {
+			this.showMessage('Failed to save: ' + err.message);
+		} finally {
+			button.disabled = false;
+			button.textContent = 'Save';
+		}
+	}
+
+	async deleteExercise() {
+		if (this.isNew || !this.exercise) return;
+		if (!confirm(`Delete the exercise "${this.exercise.title}"? Submissions and progress of students are kept.`)) return;
+		try {
+			const headers = this.version ? { 'If-Match': this.version } : {};
+			const resp = await this.apiFetch(`/admin/exercises/${encodeURIComponent(this.exercise.id)}`, { method: 'DELETE', headers });
+			const data = await resp.json().catch(() => ({}));
+			if (!resp.ok) throw new Error(data.error || `Server error: ${resp.status}`);
+			this.showMessage(`Deleted "${this.exercise.title}".`);
+			this.exercise = null;
+			document.getElementById('exercise-form').style.display = 'none';
+			const url = new URL(window.location);
+			url.searchParams.delete('exercise');
+			window.history.replaceState({}, '', url);
+			await this.loadExercises();
+		} catch (err) {
+			this.showMessage('Failed to delete: ' + err.message);
+		}
+	}
+
+	// Problems with the exercise, or the result of every test case
+	renderValidation({ problems = [], passed, results = [] }) {
+		const container = document.getElementById('validation-results');
+		if (problems.length > 0) {
+			container.innerHTML = `
+				<h2>Problems</h2>
+				<ul class="admin-problems">${problems.map(p => `<li>${this.escapeHtml(p)}</li>`).join('')}</ul>
+			`;
+			return;
+		}
+
+		const rows = results.map(r => {
+			const info = Outcomes.info(r.outcome);
+			return `
+				<tr class="${r.passed ? '' : 'stuck'}">
+					<td>${r.testNumber}</td>
+					<td title="${this.escapeHtml(info.description)}">${info.icon} ${this.escapeHtml(info.label)}</td>
+					<td><pre>${this.escapeHtml(r.expectedOutput)}</pre></td>
+					<td><pre>${this.escapeHtml(r.actualOutput)}</pre></td>
+					<td>${r.exitCode} (expected ${r.expectedExitCode})</td>
+					<td><pre>${this.escapeHtml(r.error || r.stderr || '')}</pre></td>
+				</tr>
+			`;
+		}).join('');
+		container.innerHTML = `
+			<h2>${passed ? '✅ The solution passes every test case' : '❌ The solution fails some test cases'}</h2>
+			<table class="dashboard-table admin-results">
+				<thead>
+					<tr><th>#</th><th>Result</th><th>Expected output</th><th>Output</th><th>Exit code</th><th>Errors</th></tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+		`;
+	}
+
+	// ---------- Helpers ----------
+	// One entry per line; a final newline does not add an empty entry
+	lines(text) {
+		if (text === '') return [];
+		return text.replace(/\n$/, '').split('\n');
+	}
+
+	// ISO date as the value of a datetime-local input (local time)
+	toLocalInput(iso) {
+		const date = new Date(iso);
+		return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+	}
+
+	showMessage(message) {
+		document.getElementById('admin-message').textContent = message;
+	}
+
+	escapeHtml(text) {
+		const div = document.createElement('div');
+		div.textContent = text;
+		return div.innerHTML;
+	}
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+	new ExerciseEditor();
+});
@@ -2,18 +2,30 @@
  * Main application logic for the Bash Programming Exercises website
  * Now using real bash execution with interactive terminal
  */
+const API_BASE = 'https://bikc.howest.be/bexercises/api';
+const DEFAULT_CODE = '#!/bin/bash\n\n# Write your solution here\n';
+const PROGRESS_KEY = 'bash-exercises-progress';
+const TOKEN_KEY = 'bash-exercises-token';
+
 class ExerciseApp {
 	constructor() {
 		this.currentExercise = null;
 		this.codeEditor = null;
 		//this.testRunner = new TestRunner();
-		//this.bashRunner = new BashRunner();
+		this.terminal = null; // xterm.js, created when the Terminal tab is first shown
+		this.terminalSocket = null;
+		this.authToken = localStorage.getItem(TOKEN_KEY);
+		this.user = null;
+		this.serverSaveTimer = null;
 		this.progress = this.loadProgress();
+		this.exerciseIds = []; // from GET /api/exercises, for the progress count
+		this.diffMode = localStorage.getItem('bash-exercises-diff-mode') || 'unified';
 
 		this.init();
 	}
 
 	init() {
+		this.setupAccount();
 		this.setupCodeEditor();
 		this.populateExerciseMenu();
 		this.updateProgressDisplay();
@@ -28,35 +40,26 @@ class ExerciseApp {
 		}
 	}
 
+	// Each tab button names its panel in data-panel
 	setupTabs() {
-		const testResultsTab = document.getElementById('test-results-tab');
-		//const terminalTab = document.getElementById('terminal-tab');
-		const testResultsContent = document.getElementById('test-results-content');
-		const terminalContent = document.getElementById('terminal-content');
-
-		testResultsTab.addEventListener('click', () => {
-			testResultsTab.classList.add('active');
-			//terminalTab.classList.remove('active');
-			testResultsContent.style.display = 'block';
-			terminalContent.style.display = 'none';
+		document.querySelectorAll('.results-tabs .tab-button').forEach(tab => {
+			tab.addEventListener('click', () => this.showResultsTab(tab.id));
 		});
-
-		//terminalTab.addEventListener('click', () => {
-		//	terminalTab.classList.add('active');
-		//	testResultsTab.classList.remove('active');
-		//	testResultsContent.style.display = 'none';
-		//	terminalContent.style.display = 'block';
-
-			// Initialize terminal when first shown
-		//	this.initializeTerminal();
-		//});
 	}
 
-	initializeTerminal() {
-		const terminalContainer = document.getElementById('terminal');
-		if (terminalContainer && !terminalContainer.hasChildNodes()) {
-			this.bashRunner.mountTerminal(terminalContainer);
-			this.bashRunner.writeToTerminal('Welcome to the interactive bash terminal!\r\nType commands to test your scripts.\r\n\r\n$ ');
+	showResultsTab(tabId) {
+		document.querySelectorAll('.results-tabs .tab-button').forEach(tab => {
+			const active = tab.id === tabId;
+			tab.classList.toggle('active', active);
+			const panel = document.getElementById(tab.dataset.panel);
+			if (panel) panel.style.display = active ? 'block' : 'none';
+		});
+
+		if (tabId === 'history-tab') {
+			this.loadHistory();
+		}
+		if (tabId === 'terminal-tab') {
+			this.showTerminal();
 		}
 	}
 
@@ -75,7 +78,7 @@ class ExerciseApp {
 		// Auto-save code changes
 		this.codeEditor.on('change', () => {
 			if (this.currentExercise) {
-				this.saveProgress();
+				this.rememberCode(this.currentExercise.id, this.codeEditor.getValue());
 			}
 		});
 	}
@@ -86,7 +89,7 @@ class ExerciseApp {
 
 		// fetch exercise list from server
 		try {
-			const resp = await fetch('https://bikc.howest.be/bexercises/api/exercises');
+			const resp = await this.apiFetch('/exercises');
 			if (!resp.ok) {
 				if (resp.status === 403) {
 					this.showVPNNotification();
@@ -94,6 +97,8 @@ class ExerciseApp {
 				throw new Error('Failed to fetch exercises');
 			}
 			const exercisesFromServer = await resp.json();
+			this.exerciseIds = exercisesFromServer.map(exercise => exercise.id);
+			this.updateProgressDisplay();
 
 			// Group exercises by chapter
 			const chapters = {};
@@ -151,7 +156,7 @@ class ExerciseApp {
 	async loadExercise(exerciseId) {
 		// fetch metadata from server
 		try {
-			const resp = await fetch(`https://bikc.howest.be/bexercises/api/exercises/${encodeURIComponent(exerciseId)}`);
+			const resp = await this.apiFetch(`/exercises/${encodeURIComponent(exerciseId)}`);
 			if (!resp.ok) return;
 			const exercise = await resp.json();
 			this.currentExercise = exercise;
@@ -170,7 +175,7 @@ class ExerciseApp {
 
 		// Load saved code or default
 		const savedCode = this.progress[exerciseId]?.code;
-		const startingCode = savedCode || '#!/bin/bash\n\n# Write your solution here\n';
+		const startingCode = savedCode || DEFAULT_CODE;
 		this.codeEditor.setValue(startingCode);
 		
 		// Refresh CodeMirror to fix layout after showing the exercise view
@@ -184,6 +189,18 @@ class ExerciseApp {
 		if (active) active.classList.add('active');
 
 		document.getElementById('test-results').innerHTML = '<p class="no-results">Run tests to see results here.</p>';
+		this.renderScratchFixtures(exercise.fixtures || []);
+		this.renderUnlocks(exercise);
+		// A terminal belongs to one exercise's files
+		if (document.getElementById('terminal-tab').classList.contains('active')) {
+			this.startTerminal();
+		} else {
+			this.stopTerminal();
+		}
+		document.getElementById('scratch-output').innerHTML = '';
+		if (document.getElementById('history-tab').classList.contains('active')) {
+			this.loadHistory();
+		}
 		
 		// Load and display statistics for this exercise
 		this.loadExerciseStatistics(exerciseId);
@@ -219,12 +236,22 @@ class ExerciseApp {
 		runButton.textContent = 'Running...';
 		runButton.disabled = true;
 
+		// The server queues test cases when too many run at once; poll our position
+		// until the first test starts
+		const queueId = this.generateQueueId();
+		let queuePoller = setInterval(() => this.updateQueueStatus(queueId, runButton), 1000);
+		const stopPolling = () => {
+			clearInterval(queuePoller);
+			queuePoller = null;
+		};
+
 		try {
-			// Post script to server (server runs tests using its copy of test cases)
-			const resp = await fetch(`https://bikc.howest.be/bexercises/api/exercises/${encodeURIComponent(this.currentExercise.id)}/run`, {
+			// Post script to server (server runs tests using its copy of test cases);
+			// results stream in as each test finishes
+			const resp = await this.apiFetch(`/exercises/${encodeURIComponent(this.currentExercise.id)}/run/stream`, {
 				method: 'POST',
 				headers: { 'Content-Type': 'application/json' },
-				body: JSON.stringify({ script: code })
+				body: JSON.stringify({ script: code, queueId })
 			});
 
 			if (!resp.ok) {
@@ -233,87 +260,349 @@ class ExerciseApp {
 				return;
 			}
 
-			const data = await resp.json();
-			//console.log(data);
-			const results = data.results || [];
-			// Adapt display
-			// Map server results to the format your existing displayTestResults expects:
-			const mapped = results.map(r => ({
-				testNumber: r.testNumber,
-				arguments: r.arguments || [],
-				expectedOutput: r.expectedOutput,
-				expectedExitCode: r.expectedExitCode,
-				actualOutput: r.actualOutput,
-				exitCode: r.exitCode,
-				stderr: r.stderr || '',
-				error: r.error || (r.timedOut ? 'TIMEOUT' : null),
-				passed: r.passed
-			}));
+			let data = null;
+			const results = [];
+			let totalTests = 0;
+			await this.readEventStream(resp, (event, payload) => {
+				if (event === 'start') {
+					totalTests = payload.totalTests;
+					this.showPendingTests(totalTests);
+				} else if (event === 'test-start') {
+					if (queuePoller) {
+						stopPolling();
+						runButton.textContent = 'Running...';
+					}
+					this.markTestRunning(payload.testNumber);
+				} else if (event === 'test-result') {
+					const result = this.mapTestResult(payload);
+					results.push(result);
+					this.showTestResult(result, results.length, totalTests);
+				} else if (event === 'done') {
+					data = payload;
+				} else if (event === 'error') {
+					throw new Error(payload.detail || payload.error);
+				}
+			});
+			if (!data) throw new Error('the connection closed before all tests finished');
 
-			this.displayTestResults(mapped);
+			// done carries only the summary; the results came as test-result events
+			if (data.totalTests === 0) {
+				this.displayTestResults(results);
+			} else {
+				this.updateTestSummary(results);
+			}
 			
 			// Update statistics display
 			if (data.statistics) {
 				this.displayStatistics(data.statistics);
 			}
 
-			const allPassed = mapped.length > 0 && mapped.every(tt => tt.passed);
+			const allPassed = data.totalTests > 0 && data.passed;
 			this.updateExerciseProgress(this.currentExercise.id, code, allPassed);
+			// A pass or another failed attempt may unlock the solution
+			this.refreshUnlocks();
+			if (document.getElementById('history-tab').classList.contains('active')) {
+				this.loadHistory();
+			}
 
 		} catch (error) {
 			this.displayError('Error running tests: ' + error.message);
 		} finally {
+			stopPolling();
 			runButton.textContent = 'Run Tests';
 			runButton.disabled = false;
 		}
 	}
 
-	async testInteractive() {
-		if (!this.currentExercise) return;
+	// Read a Server-Sent Events response, calling onEvent(event, data) with the parsed
+	// JSON data of every event. Resolves when the server closes the stream.
+	async readEventStream(resp, onEvent) {
+		const reader = resp.body.getReader();
+		const decoder = new TextDecoder();
+		let buffer = '';
+		for (;;) {
+			const { value, done } = await reader.read();
+			buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+			let end;
+			while ((end = buffer.indexOf('\n\n')) !== -1) {
+				const block = buffer.slice(0, end);
+				buffer = buffer.slice(end + 2);
+				let event = 'message';
+				const dataLines = [];
+				block.split('\n').forEach(line => {
+					if (line.startsWith('event:')) event = line.slice(6).trim();
+					else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+				});
+				// Lines starting with ':' are keepalive comments
+				if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+			}
+			if (done) return;
+		}
+	}
 
-		// Switch to terminal tab
-		document.getElementById('terminal-tab').click();
+	// Map a server result to the format displayTestResults expects
+	mapTestResult(r) {
+		return {
+			testNumber: r.testNumber,
+			arguments: r.arguments || [],
+			expectedOutput: r.expectedOutput,
+			expectedExitCode: r.expectedExitCode,
+			actualOutput: r.actualOutput,
+			outputMatched: r.outputMatched,
+			diffable: r.diffable,
+			rawExpectedOutput: r.rawExpectedOutput,
+			rawOutput: r.rawOutput,
+			comparator: r.comparator,
+			exitCode: r.exitCode,
+			stderr: r.stderr || '',
+			expectedStderr: r.expectedStderr,
+			stderrMatched: r.stderrMatched,
+			stderrComparator: r.stderrComparator,
+			fileResults: r.fileResults || null,
+			error: r.error || (r.timedOut ? 'TIMEOUT' : null),
+			syntaxError: r.syntaxError || null,
+			oomKilled: r.oomKilled === true,
+			pidsExhausted: r.pidsExhausted === true,
+			truncatedStreams: r.truncatedStreams || [],
+			outputLimitBytes: r.outputLimitBytes,
+			outcome: r.outcome || Outcomes.classify(r),
+			passed: r.passed
+		};
+	}
 
-		// Initialize terminal if not already done
-		this.initializeTerminal();
+	// Placeholders for every test of a streaming run, filled in as results arrive
+	showPendingTests(totalTests) {
+		const resultsContainer = document.getElementById('test-results');
+		resultsContainer.innerHTML = '';
 
-		// Run the script in the terminal
-		const code = this.codeEditor.getValue();
-		const args = ['arg1', 'arg2']; // Default test arguments
+		const summary = document.createElement('div');
+		summary.className = 'test-summary';
+		summary.innerHTML = `<h4>Running tests: 0/${totalTests} done</h4>`;
+		resultsContainer.appendChild(summary);
+
+		for (let testNumber = 1; testNumber <= totalTests; testNumber++) {
+			const slot = document.createElement('div');
+			slot.className = 'test-result pending';
+			slot.dataset.testNumber = testNumber;
+			slot.innerHTML = `<h4><span class="status-icon">…</span> Test ${testNumber}: waiting</h4>`;
+			resultsContainer.appendChild(slot);
+		}
+	}
+
+	markTestRunning(testNumber) {
+		const slot = document.querySelector(`#test-results .test-result.pending[data-test-number="${testNumber}"]`);
+		if (!slot) return;
+		slot.classList.add('running');
+		slot.innerHTML = `<h4><span class="status-icon spinner"></span> Test ${testNumber}: running...</h4>`;
+	}
+
+	showTestResult(result, finishedCount, totalTests) {
+		const slot = document.querySelector(`#test-results .test-result[data-test-number="${result.testNumber}"]`);
+		if (!slot) return;
+		const testDiv = this.renderTestResult(result);
+		slot.replaceWith(testDiv);
+		this.setupResultTabs(testDiv);
+		this.setupDiffToggles(testDiv);
 
+		const summary = document.querySelector('#test-results .test-summary');
+		if (summary) summary.innerHTML = `<h4>Running tests: ${finishedCount}/${totalTests} done</h4>`;
+	}
+
+	updateTestSummary(results) {
+		const passedCount = results.filter(r => r.passed).length;
+		const summary = document.querySelector('#test-results .test-summary');
+		if (summary) summary.innerHTML = `<h4>Summary: ${passedCount}/${results.length} tests passed</h4>`;
+	}
+
+	generateQueueId() {
+		if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+			return window.crypto.randomUUID();
+		}
+		return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+	}
+
+	async updateQueueStatus(queueId, runButton) {
 		try {
-			this.bashRunner.clearTerminal();
-			this.bashRunner.writeToTerminal('Running your script...\r\n');
+			const resp = await this.apiFetch(`/queue/${encodeURIComponent(queueId)}`);
+			if (!resp.ok || !runButton.disabled) return;
+			const queue = await resp.json();
+			runButton.textContent = queue.position > 0
+				? `Queued (position ${queue.position})...`
+				: 'Running...';
+		} catch (err) {
+			// Queue status is informational only
+		}
+	}
+
+	// ---------- Scratchpad ("Run Script" tab) ----------
+	// One checkbox per fixture file of the exercise
+	renderScratchFixtures(fixtures) {
+		const fieldset = document.getElementById('scratch-fixtures');
+		fieldset.querySelectorAll('label').forEach(label => label.remove());
+		fieldset.style.display = fixtures.length > 0 ? 'block' : 'none';
+		fixtures.forEach(name => {
+			const label = document.createElement('label');
+			label.innerHTML = `<input type="checkbox" value="${this.escapeHtml(name)}"> ${this.escapeHtml(name)}`;
+			fieldset.appendChild(label);
+		});
+	}
+
+	async runScratch() {
+		if (!this.currentExercise) return;
 
-			const result = await this.bashRunner.executeScript(code, args);
-			this.bashRunner.writeToTerminal(result.output);
-			this.bashRunner.writeToTerminal(`\r\nExit code: ${result.exitCode}\r\n$ `);
+		const runButton = document.getElementById('scratch-run');
+		const output = document.getElementById('scratch-output');
+		const argsText = document.getElementById('scratch-args').value;
+		let stdin = document.getElementById('scratch-stdin').value;
+		// Typed input ends with a newline, so `read` also gets the last line
+		if (stdin !== '' && !stdin.endsWith('\n')) stdin += '\n';
+		const body = {
+			script: this.codeEditor.getValue(),
+			arguments: argsText === '' ? [] : argsText.replace(/\n$/, '').split('\n'),
+			stdin,
+			fixtures: [...document.querySelectorAll('#scratch-fixtures input:checked')].map(input => input.value)
+		};
+
+		runButton.textContent = 'Running...';
+		runButton.disabled = true;
+		try {
+			const resp = await this.apiFetch(`/exercises/${encodeURIComponent(this.currentExercise.id)}/scratch`, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify(body)
+			});
+			const data = await resp.json().catch(() => ({ error: 'unknown' }));
+			if (!resp.ok) {
+				output.innerHTML = `<p class="error">Server error: ${resp.status} ${this.escapeHtml(data.error || '')}</p>`;
+				return;
+			}
+			output.innerHTML = this.renderScratchResult(data);
 		} catch (error) {
-			this.bashRunner.writeToTerminal(`Error: ${error.message}\r\n$ `);
+			output.innerHTML = `<p class="error">Error running script: ${this.escapeHtml(error.message)}</p>`;
+		} finally {
+			runButton.textContent = 'Run Script';
+			runButton.disabled = false;
 		}
 	}
 
-	runScriptInTerminal() {
-		if (!this.currentExercise) return;
+	renderScratchResult(result) {
+		const notes = [];
+		if (result.timedOut) notes.push('⏱️ The script ran too long and was stopped.');
+		if (result.error) notes.push(`Error: ${this.escapeHtml(result.error)}`);
+		const syntax = result.syntaxError
+			? `<div class="outcome-note outcome-syntax_error"><strong>Syntax error:</strong><pre><code>${this.escapeHtml(result.syntaxError)}</code></pre></div>`
+			: '';
+		return `
+			${syntax}
+			<p class="scratch-exit"><strong>Exit code:</strong> ${result.exitCode === null ? '-' : result.exitCode}
+				<span class="scratch-duration">(${result.durationMs} ms)</span></p>
+			${this.renderExitCodeNote(result)}
+			${notes.map(note => `<p class="exit-note">${note}</p>`).join('')}
+			<div class="output-comparison">
+				<div class="output-section">
+					<strong>Output:</strong>
+					${this.renderTruncationNote(result, 'stdout')}
+					<pre><code>${this.escapeHtml(result.stdout)}</code></pre>
+				</div>
+				<div class="output-section">
+					<strong>Stderr:</strong>
+					${this.renderTruncationNote(result, 'stderr')}
+					<pre><code>${this.escapeHtml(result.stderr)}</code></pre>
+				</div>
+			</div>
+		`;
+	}
 
-		const code = this.codeEditor.getValue();
-		// Get arguments from a simple prompt for now
-		const argsInput = prompt('Enter arguments (space-separated):') || '';
-		const args = argsInput.trim() ? argsInput.split(' ') : [];
-
-		this.bashRunner.executeScript(code, args)
-			.then(result => {
-				this.bashRunner.writeToTerminal('\r\n' + result.output);
-				this.bashRunner.writeToTerminal(`\r\nExit code: ${result.exitCode}\r\n$ `);
-			})
-			.catch(error => {
-				this.bashRunner.writeToTerminal(`\r\nError: ${error.message}\r\n$ `);
+	// ---------- Interactive terminal ----------
+	// A real bash in a runner container (see lib/terminal.js on the server), with the
+	// exercise's fixtures and the code from the editor as script.sh
+	showTerminal() {
+		if (!this.terminal) {
+			this.terminal = new Terminal({
+				cursorBlink: true,
+				fontFamily: "'Monaco', 'Menlo', 'Ubuntu Mono', monospace",
+				fontSize: 14
+			});
+			this.terminalFit = new FitAddon.FitAddon();
+			this.terminal.loadAddon(this.terminalFit);
+			this.terminal.open(document.getElementById('terminal'));
+			this.terminal.onData(data => this.sendToTerminal({ type: 'input', data }));
+			this.terminal.onResize(({ cols, rows }) => this.sendToTerminal({ type: 'resize', cols, rows }));
+
+			let resizeTimer = null;
+			window.addEventListener('resize', () => {
+				clearTimeout(resizeTimer);
+				resizeTimer = setTimeout(() => this.terminalFit.fit(), 150);
 			});
+		}
+		// The panel has only just become visible
+		setTimeout(() => {
+			this.terminalFit.fit();
+			if (!this.terminalSocket) this.startTerminal();
+			this.terminal.focus();
+		}, 0);
+	}
+
+	startTerminal() {
+		if (!this.currentExercise || !this.terminal) return;
+		this.stopTerminal();
+		this.terminal.reset();
+		if (!this.user) {
+			this.setTerminalStatus('Log in to use the terminal.');
+			return;
+		}
+
+		const socket = new WebSocket(`${API_BASE.replace(/^http/, 'ws')}/terminal`);
+		this.terminalSocket = socket;
+		this.setTerminalStatus('Connecting...');
+		socket.addEventListener('open', () => {
+			socket.send(JSON.stringify({
+				type: 'start',
+				token: this.authToken,
+				exerciseId: this.currentExercise.id,
+				script: this.codeEditor.getValue(),
+				cols: this.terminal.cols,
+				rows: this.terminal.rows
+			}));
+		});
+		socket.addEventListener('message', (e) => {
+			const message = JSON.parse(e.data);
+			if (message.type === 'output') {
+				this.terminal.write(message.data);
+			} else if (message.type === 'ready') {
+				this.setTerminalStatus('Connected');
+			} else if (message.type === 'exit') {
+				this.terminal.write(`\r\n\x1b[2m[${message.message}]\x1b[0m\r\n`);
+				this.setTerminalStatus(`${message.message}. Press Restart for a new shell.`);
+			} else if (message.type === 'error') {
+				this.setTerminalStatus(`Error: ${message.error}`);
+			}
+		});
+		socket.addEventListener('close', () => {
+			if (this.terminalSocket !== socket) return;
+			this.terminalSocket = null;
+			if (document.getElementById('terminal-status').textContent === 'Connected') {
+				this.setTerminalStatus('Disconnected. Press Restart for a new shell.');
+			}
+		});
+	}
+
+	stopTerminal() {
+		if (!this.terminalSocket) return;
+		const socket = this.terminalSocket;
+		this.terminalSocket = null;
+		socket.close();
+		this.setTerminalStatus('Stopped');
 	}
 
-	clearTerminal() {
-		this.bashRunner.clearTerminal();
-		this.bashRunner.writeToTerminal('$ ');
+	sendToTerminal(message) {
+		if (this.terminalSocket && this.terminalSocket.readyState === WebSocket.OPEN) {
+			this.terminalSocket.send(JSON.stringify(message));
+		}
+	}
+
+	setTerminalStatus(text) {
+		document.getElementById('terminal-status').textContent = text;
 	}
 
 	displayTestResults(results) {
@@ -326,68 +615,320 @@ class ExerciseApp {
 		}
 
 		results.forEach(result => {
-			const testDiv = document.createElement('div');
-			testDiv.className = `test-result ${result.passed ? 'passed' : 'failed'}`;
+			resultsContainer.appendChild(this.renderTestResult(result));
+		});
+
+		// Add summary
+		const passedCount = results.filter(r => r.passed).length;
+		const summary = document.createElement('div');
+		summary.className = 'test-summary';
+		summary.innerHTML = `<h4>Summary: ${passedCount}/${results.length} tests passed</h4>`;
+		resultsContainer.insertBefore(summary, resultsContainer.firstChild);
 
-			const title = document.createElement('h4');
-			const statusIcon = result.passed ? '✓' : '✗';
-			title.innerHTML = `<span class="status-icon">${statusIcon}</span> Test ${result.testNumber}: ${result.passed ? 'PASSED' : 'FAILED'}`;
-			testDiv.appendChild(title);
+		// Add tab switching functionality
+		this.setupResultTabs(resultsContainer);
+		this.setupDiffToggles(resultsContainer);
+	}
 
-			const details = document.createElement('div');
-			details.className = 'test-details';
+	renderTestResult(result) {
+		const testDiv = document.createElement('div');
+		testDiv.className = `test-result ${result.passed ? 'passed' : 'failed'}`;
 
-			const tabId = `test-${result.testNumber}`;
-			details.innerHTML = `
-				<p><strong>Arguments:</strong> ${result.arguments.length > 0 ? result.arguments.join(', ') : '(none)'}</p>
-				
-				<div class="result-tabs">
-					<button class="result-tab active" data-tab="${tabId}-output">Output ${result.actualOutput === result.expectedOutput ? '✓' : '✗'}</button>
-					<button class="result-tab" data-tab="${tabId}-stderr">Stderr ${(!result.stderr || result.stderr.trim() === '') ? '✓' : '⚠'}</button>
-					<button class="result-tab" data-tab="${tabId}-exit">Exit Code ${result.exitCode === result.expectedExitCode ? '✓' : '✗'}</button>
+		const title = document.createElement('h4');
+		const statusIcon = result.passed ? '✓' : '✗';
+		const outcome = Outcomes.info(result.outcome);
+		title.innerHTML = `<span class="status-icon">${statusIcon}</span> Test ${result.testNumber}: ${result.passed ? 'PASSED' : 'FAILED'}`
+			+ (result.passed ? '' : ` <span class="outcome-label">${outcome.icon} ${outcome.label}</span>`);
+		testDiv.appendChild(title);
+
+		const details = document.createElement('div');
+		details.className = 'test-details';
+
+		const tabId = `test-${result.testNumber}`;
+		details.innerHTML = `
+			<p><strong>Arguments:</strong> ${result.arguments.length > 0 ? result.arguments.join(', ') : '(none)'}</p>
+			${result.passed ? '' : this.renderOutcome(result)}
+			
+			<div class="result-tabs">
+				<button class="result-tab active" data-tab="${tabId}-output">Output ${result.outputMatched ? '✓' : '✗'}</button>
+				<button class="result-tab" data-tab="${tabId}-stderr">Stderr ${this.stderrTabIcon(result)}</button>
+				<button class="result-tab" data-tab="${tabId}-exit">Exit Code ${result.exitCode === result.expectedExitCode ? '✓' : '✗'}</button>
+				${result.fileResults ? `<button class="result-tab" data-tab="${tabId}-files">Files ${result.fileResults.every(f => f.passed) ? '✓' : '✗'}</button>` : ''}
+			</div>
+			
+			<div class="result-tab-content active" id="${tabId}-output">
+				${this.renderTruncationNote(result, 'stdout')}
+				${this.renderOutput(result)}
+			</div>
+			
+			<div class="result-tab-content" id="${tabId}-stderr">
+				${this.renderTruncationNote(result, 'stderr')}
+				${this.renderStderr(result)}
+			</div>
+			
+			<div class="result-tab-content" id="${tabId}-exit">
+				<p><strong>Expected Exit Code:</strong> ${result.expectedExitCode}</p>
+				<p><strong>Actual Exit Code:</strong> ${result.exitCode}</p>
+				${this.renderExitCodeNote(result)}
+				${result.error ? `<p class="error"><strong>Error:</strong> ${result.error}</p>` : ''}
+			</div>
+
+			${result.fileResults ? `<div class="result-tab-content" id="${tabId}-files">${this.renderFileResults(result.fileResults)}</div>` : ''}
+		`;
+
+		testDiv.appendChild(details);
+		return testDiv;
+	}
+
+	// Plain-language explanation of why a test failed
+	renderOutcome(result) {
+		const outcome = Outcomes.info(result.outcome);
+		const syntax = result.outcome === 'syntax_error' && result.syntaxError
+			? `<pre><code>${this.escapeHtml(result.syntaxError)}</code></pre>`
+			: '';
+		return `
+			<div class="outcome-note outcome-${result.outcome}">
+				<strong>${outcome.icon} ${outcome.label}:</strong> ${outcome.description}
+				${syntax}
+			</div>
+		`;
+	}
+
+	// Explain exit codes that come from the sandbox rather than from the script
+	renderExitCodeNote(result) {
+		if (result.oomKilled) {
+			// 137 when the script itself was killed; bash may report another code for a killed child
+			if (result.exitCode === 137) {
+				return '<p class="exit-note">Exit code 137 means the script was killed (SIGKILL): it ran out of memory.</p>';
+			}
+			if (result.exitCode === null || result.exitCode === undefined) {
+				return '<p class="exit-note">A process of the script was killed (SIGKILL) because it ran out of memory.</p>';
+			}
+			return `<p class="exit-note">Exit code ${this.escapeHtml(String(result.exitCode))}: a process of the script was killed (SIGKILL) because it ran out of memory.</p>`;
+		}
+		if (result.pidsExhausted) {
+			return '<p class="exit-note">Bash could not start new processes ("fork: Resource temporarily unavailable"): the process limit was reached.</p>';
+		}
+		return '';
+	}
+
+	// The server keeps at most outputLimitBytes per stream and stops the script beyond that
+	renderTruncationNote(result, stream) {
+		if (!result.truncatedStreams.includes(stream)) return '';
+		const kb = Math.round(result.outputLimitBytes / 1024);
+		return `<p class="truncation-note">✂️ ${stream === 'stdout' ? 'Output' : 'Stderr'} truncated after ${kb} KB; the script was stopped.</p>`;
+	}
+
+	renderOutput(result) {
+		const comparatorLabel = result.comparator && result.comparator !== 'trim'
+			? ` <span class="comparator-label">(${this.escapeHtml(result.comparator)})</span>`
+			: '';
+
+		// Failed outputs get a diff of the forms the comparator compared (trimmed,
+		// sorted lines, ...), unless a diff would flag what it ignores (case,
+		// numbers within the tolerance) or cannot mean anything (a regex)
+		const canDiff = !result.outputMatched
+			&& result.diffable !== false
+			&& typeof OutputDiff !== 'undefined';
+		if (canDiff) {
+			const expected = result.expectedOutput;
+			const actual = result.actualOutput;
+			return `
+				<div class="diff-header">
+					<strong>Differences${comparatorLabel}:</strong>
+					<span class="diff-legend"><span class="diff-removed">− expected</span> <span class="diff-added">+ actual</span></span>
+					<div class="diff-toggle">
+						<button class="diff-mode ${this.diffMode === 'unified' ? 'active' : ''}" data-mode="unified">Unified</button>
+						<button class="diff-mode ${this.diffMode === 'split' ? 'active' : ''}" data-mode="split">Side by side</button>
+					</div>
 				</div>
-				
-				<div class="result-tab-content active" id="${tabId}-output">
+				${this.renderDiff(expected, actual)}
+			`;
+		}
+
+		return `
+			<div class="output-comparison">
+				<div class="output-section">
+					<strong>Expected Output${comparatorLabel}:</strong>
+					<pre><code>${this.escapeHtml(result.expectedOutput)}</code></pre>
+				</div>
+				<div class="output-section">
+					<strong>Actual Output:</strong>
+					<pre><code>${this.escapeHtml(result.actualOutput)}</code></pre>
+				</div>
+			</div>
+		`;
+	}
+
+	renderDiff(expected, actual) {
+		return this.renderDiffView(OutputDiff.diffLines(expected, actual), { old: 'Expected', new: 'Actual' });
+	}
+
+	// Render a diff from OutputDiff.diffLines (computed here or by the server).
+	// Both views are rendered; the toggle only switches which one is visible
+	renderDiffView(diff, labels) {
+		const noNewline = '<span class="ws ws-eof" title="No newline at end of output">⏎̸ no newline at end</span>';
+
+		const unifiedRows = diff.lines.map(line => {
+			const sign = { equal: ' ', removed: '−', added: '+' }[line.type];
+			return `<tr class="diff-line diff-${line.type}">
+				<td class="diff-gutter">${line.oldLine || ''}</td>
+				<td class="diff-gutter">${line.newLine || ''}</td>
+				<td class="diff-sign">${sign}</td>
+				<td class="diff-text">${this.renderDiffText(line)}</td>
+			</tr>`;
+		});
+		if (diff.expectedMissingFinalNewline !== diff.actualMissingFinalNewline) {
+			const side = diff.expectedMissingFinalNewline ? 'removed' : 'added';
+			unifiedRows.push(`<tr class="diff-line diff-${side}"><td class="diff-gutter"></td><td class="diff-gutter"></td><td class="diff-sign"></td><td class="diff-text">${noNewline}</td></tr>`);
+		}
+
+		// Side by side: equal lines face each other, removed/added blocks are paired row by row
+		const splitRows = [];
+		let i = 0;
+		while (i < diff.lines.length) {
+			const line = diff.lines[i];
+			if (line.type === 'equal') {
+				splitRows.push([line, line]);
+				i++;
+				continue;
+			}
+			const removed = [];
+			const added = [];
+			while (i < diff.lines.length && diff.lines[i].type === 'removed') removed.push(diff.lines[i++]);
+			while (i < diff.lines.length && diff.lines[i].type === 'added') added.push(diff.lines[i++]);
+			for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+				splitRows.push([removed[k] || null, added[k] || null]);
+			}
+		}
+		const splitCell = (line, numberKey) => line
+			? `<td class="diff-gutter">${line[numberKey]}</td><td class="diff-text diff-${line.type}">${this.renderDiffText(line)}</td>`
+			: '<td class="diff-gutter"></td><td class="diff-text diff-empty"></td>';
+		const splitHtml = splitRows.map(([left, right]) => `<tr class="diff-line">${splitCell(left, 'oldLine')}${splitCell(right, 'newLine')}</tr>`);
+		if (diff.expectedMissingFinalNewline || diff.actualMissingFinalNewline) {
+			splitHtml.push(`<tr class="diff-line">
+				<td class="diff-gutter"></td><td class="diff-text">${diff.expectedMissingFinalNewline ? noNewline : ''}</td>
+				<td class="diff-gutter"></td><td class="diff-text">${diff.actualMissingFinalNewline ? noNewline : ''}</td>
+			</tr>`);
+		}
+
+		return `
+			<div class="output-diff" data-mode="${this.diffMode}">
+				<table class="diff-unified"><tbody>${unifiedRows.join('')}</tbody></table>
+				<table class="diff-split">
+					<thead><tr><th colspan="2">${this.escapeHtml(labels.old)}</th><th colspan="2">${this.escapeHtml(labels.new)}</th></tr></thead>
+					<tbody>${splitHtml.join('')}</tbody>
+				</table>
+			</div>
+		`;
+	}
+
+	// Line content with character-level highlights and visible whitespace
+	renderDiffText(line) {
+		const runs = line.chars || [{ type: 'equal', text: line.text }];
+		const lastIndex = runs.length - 1;
+		const html = runs.map((run, idx) => {
+			const text = this.visualizeWhitespace(run.text, idx === lastIndex);
+			return run.type === 'equal' ? text : `<span class="diff-char-${run.type}">${text}</span>`;
+		}).join('');
+		return html === '' ? '&nbsp;' : html;
+	}
+
+	// Escape text and mark tabs and (when at the end of a line) trailing spaces
+	visualizeWhitespace(text, atLineEnd) {
+		const match = atLineEnd ? text.match(/ +$/) : null;
+		const trailing = match ? match[0].length : 0;
+		const body = text.slice(0, text.length - trailing);
+		const escaped = this.escapeHtml(body).replace(/\t/g, '<span class="ws ws-tab" title="Tab">→\t</span>');
+		const trailingHtml = trailing > 0
+			? `<span class="ws ws-space" title="Trailing spaces">${'·'.repeat(trailing)}</span>`
+			: '';
+		return escaped + trailingHtml;
+	}
+
+	setupDiffToggles(root = document) {
+		root.querySelectorAll('.diff-mode').forEach(button => {
+			button.addEventListener('click', (e) => {
+				this.diffMode = e.target.dataset.mode;
+				localStorage.setItem('bash-exercises-diff-mode', this.diffMode);
+				document.querySelectorAll('.output-diff').forEach(d => { d.dataset.mode = this.diffMode; });
+				document.querySelectorAll('.diff-mode').forEach(b => {
+					b.classList.toggle('active', b.dataset.mode === this.diffMode);
+				});
+			});
+		});
+	}
+
+	stderrTabIcon(result) {
+		if (result.stderrMatched !== undefined) {
+			return result.stderrMatched ? '✓' : '✗';
+		}
+		return (!result.stderr || result.stderr.trim() === '') ? '✓' : '⚠';
+	}
+
+	renderStderr(result) {
+		if (result.expectedStderr === undefined) {
+			return `
+				<strong>Standard Error:</strong>
+				<pre><code>${this.escapeHtml(result.stderr || '(no stderr output)')}</code></pre>
+			`;
+		}
+		return `
+			<div class="output-comparison">
+				<div class="output-section">
+					<strong>Expected Stderr:</strong>
+					<pre><code>${this.escapeHtml(result.expectedStderr)}</code></pre>
+				</div>
+				<div class="output-section">
+					<strong>Actual Stderr:</strong>
+					<pre><code>${this.escapeHtml(result.stderr || '')}</code></pre>
+				</div>
+			</div>
+		`;
+	}
+
+	renderFileResults(fileResults) {
+		return fileResults.map(file => {
+			const name = this.escapeHtml(file.path);
+			let body = '';
+			if (!file.exists) {
+				body = file.passed
+					? '<p>File is absent, as expected.</p>'
+					: '<p class="error">File was not created.</p>';
+			} else if (file.passed && file.expectedContent === undefined && file.expectedMode === undefined) {
+				body = '<p>File exists.</p>';
+			} else if (!file.passed && file.expectedContent === undefined && file.expectedMode === undefined) {
+				body = '<p class="error">File should not exist.</p>';
+			}
+			if (file.expectedMode !== undefined) {
+				body += `<p><strong>Mode:</strong> expected ${this.formatMode(file.expectedMode)}, got ${this.formatMode(file.actualMode)} ${file.modeMatched ? '✓' : '✗'}</p>`;
+			}
+			if (file.expectedContent !== undefined) {
+				body += `
 					<div class="output-comparison">
 						<div class="output-section">
-							<strong>Expected Output:</strong>
-							<pre><code>${this.escapeHtml(result.expectedOutput)}</code></pre>
+							<strong>Expected Content:</strong>
+							<pre><code>${this.escapeHtml(file.expectedContent)}</code></pre>
 						</div>
 						<div class="output-section">
-							<strong>Actual Output:</strong>
-							<pre><code>${this.escapeHtml(result.actualOutput)}</code></pre>
+							<strong>Actual Content:</strong>
+							<pre><code>${this.escapeHtml(file.actualContent)}</code></pre>
 						</div>
 					</div>
-				</div>
-				
-				<div class="result-tab-content" id="${tabId}-stderr">
-					<strong>Standard Error:</strong>
-					<pre><code>${this.escapeHtml(result.stderr || '(no stderr output)')}</code></pre>
-				</div>
-				
-				<div class="result-tab-content" id="${tabId}-exit">
-					<p><strong>Expected Exit Code:</strong> ${result.expectedExitCode}</p>
-					<p><strong>Actual Exit Code:</strong> ${result.exitCode}</p>
-					${result.error ? `<p class="error"><strong>Error:</strong> ${result.error}</p>` : ''}
-			`;
-
-			testDiv.appendChild(details);
-			resultsContainer.appendChild(testDiv);
-		});
-
-		// Add summary
-		const passedCount = results.filter(r => r.passed).length;
-		const summary = document.createElement('div');
-		summary.className = 'test-summary';
-		summary.innerHTML = `<h4>Summary: ${passedCount}/${results.length} tests passed</h4>`;
-		resultsContainer.insertBefore(summary, resultsContainer.firstChild);
+				`;
+			}
+			return `<div class="file-result"><h5>${file.passed ? '✓' : '✗'} ${name}</h5>${body}</div>`;
+		}).join('');
+	}
 
-		// Add tab switching functionality
-		this.setupResultTabs();
+	formatMode(mode) {
+		const bits = 'rwxrwxrwx';
+		const symbolic = bits.split('').map((c, i) => (mode & (1 << (8 - i))) ? c : '-').join('');
+		return `${symbolic} (${mode.toString(8).padStart(3, '0')})`;
 	}
 
-	setupResultTabs() {
-		const tabs = document.querySelectorAll('.result-tab');
+	setupResultTabs(root = document) {
+		const tabs = root.querySelectorAll('.result-tab');
 		tabs.forEach(tab => {
 			tab.addEventListener('click', (e) => {
 				const targetId = e.target.dataset.tab;
@@ -404,6 +945,124 @@ class ExerciseApp {
 		});
 	}
 
+	// ---------- Submission history ----------
+	async loadHistory() {
+		const list = document.getElementById('history-list');
+		const diffContainer = document.getElementById('history-diff');
+		diffContainer.innerHTML = '';
+		if (!this.currentExercise) return;
+
+		if (!this.user) {
+			list.innerHTML = '<p class="no-results">Log in to keep a history of your submissions.</p>';
+			return;
+		}
+
+		const exerciseId = this.currentExercise.id;
+		try {
+			const resp = await this.apiFetch(`/exercises/${encodeURIComponent(exerciseId)}/submissions`);
+			if (!resp.ok) throw new Error(`Server error: ${resp.status}`);
+			const submissions = await resp.json();
+			// The user may have switched exercises while we were waiting
+			if (!this.currentExercise || this.currentExercise.id !== exerciseId) return;
+			this.displayHistory(submissions);
+		} catch (err) {
+			list.innerHTML = `<p class="no-results">Failed to load history: ${this.escapeHtml(err.message)}</p>`;
+		}
+	}
+
+	displayHistory(submissions) {
+		const list = document.getElementById('history-list');
+		if (submissions.length === 0) {
+			list.innerHTML = '<p class="no-results">No submissions yet. Run the tests to create one.</p>';
+			return;
+		}
+
+		const rows = submissions.map(sub => sub.type ? this.renderHistoryView(sub) : `
+			<tr class="${sub.passed ? 'passed' : 'failed'}">
+				<td><input type="checkbox" class="history-select" value="${this.escapeHtml(sub.id)}"></td>
+				<td>${new Date(sub.createdAt).toLocaleString()}</td>
+				<td><span class="status-icon">${sub.passed ? '✓' : '✗'}</span> ${sub.passedTests}/${sub.totalTests} tests passed</td>
+				<td>${sub.durationMs != null ? (sub.durationMs / 1000).toFixed(1) + ' s' : ''}</td>
+				<td><button class="btn btn-secondary history-restore" data-id="${this.escapeHtml(sub.id)}">Restore</button></td>
+			</tr>
+		`).join('');
+
+		list.innerHTML = `
+			<p class="history-help">Restore an earlier version into the editor, or tick two submissions to compare them.</p>
+			<table class="history-table">
+				<thead><tr><th></th><th>Submitted</th><th>Result</th><th>Duration</th><th></th></tr></thead>
+				<tbody>${rows}</tbody>
+			</table>
+			<button id="history-compare" class="btn btn-primary" disabled>Compare selected</button>
+		`;
+
+		const compareButton = document.getElementById('history-compare');
+		const selected = () => Array.from(list.querySelectorAll('.history-select:checked')).map(cb => cb.value);
+		list.querySelectorAll('.history-select').forEach(cb => {
+			cb.addEventListener('change', () => {
+				compareButton.disabled = selected().length !== 2;
+			});
+		});
+		compareButton.addEventListener('click', () => {
+			// The list is newest first: compare the older (bottom) one against the newer one
+			const [newer, older] = selected();
+			this.compareSubmissions(older, newer);
+		});
+		list.querySelectorAll('.history-restore').forEach(button => {
+			button.addEventListener('click', () => this.restoreSubmission(button.dataset.id));
+		});
+	}
+
+	// A row for opening a hint or the solution (records with a type)
+	renderHistoryView(view) {
+		const what = view.type === 'hint' ? `💡 Opened hint ${view.hint}` : '🔑 Viewed the solution';
+		return `
+			<tr class="view">
+				<td></td>
+				<td>${new Date(view.createdAt).toLocaleString()}</td>
+				<td colspan="3">${what}</td>
+			</tr>
+		`;
+	}
+
+	async restoreSubmission(submissionId) {
+		if (!this.currentExercise) return;
+		try {
+			const resp = await this.apiFetch(`/exercises/${encodeURIComponent(this.currentExercise.id)}/submissions/${encodeURIComponent(submissionId)}`);
+			if (!resp.ok) throw new Error(`Server error: ${resp.status}`);
+			const submission = await resp.json();
+			if (confirm(`Replace the code in the editor with your submission from ${new Date(submission.createdAt).toLocaleString()}?`)) {
+				this.codeEditor.setValue(submission.script);
+			}
+		} catch (err) {
+			alert('Failed to restore submission: ' + err.message);
+		}
+	}
+
+	async compareSubmissions(fromId, toId) {
+		const container = document.getElementById('history-diff');
+		try {
+			const exerciseId = encodeURIComponent(this.currentExercise.id);
+			const resp = await this.apiFetch(`/exercises/${exerciseId}/submissions/${encodeURIComponent(fromId)}/diff/${encodeURIComponent(toId)}`);
+			if (!resp.ok) throw new Error(`Server error: ${resp.status}`);
+			const data = await resp.json();
+			const label = sub => `${new Date(sub.createdAt).toLocaleString()} ${sub.passed ? '✓' : '✗'}`;
+			container.innerHTML = `
+				<div class="diff-header">
+					<strong>Changes between submissions:</strong>
+					<div class="diff-toggle">
+						<button class="diff-mode ${this.diffMode === 'unified' ? 'active' : ''}" data-mode="unified">Unified</button>
+						<button class="diff-mode ${this.diffMode === 'split' ? 'active' : ''}" data-mode="split">Side by side</button>
+					</div>
+				</div>
+				${data.diff.identical ? '<p class="no-results">Both submissions have identical code.</p>' : this.renderDiffView(data.diff, { old: label(data.from), new: label(data.to) })}
+			`;
+			this.setupDiffToggles(container);
+		} catch (err) {
+			container.innerHTML = `<p class="no-results">Failed to compare submissions: ${this.escapeHtml(err.message)}</p>`;
+		}
+	}
+
 	showVPNNotification() {
 		const notification = document.createElement('div');
 		notification.className = 'vpn-notification';
@@ -430,26 +1089,70 @@ class ExerciseApp {
 		if (stats.failedAttempts > 0 && stats.failureReasons) {
 			const reasons = Object.entries(stats.failureReasons)
 				.map(([reason, count]) => {
-					const icon = {
-						'timeout': '⏱️',
-						'wrong_exit_code': '🚪',
-						'wrong_output': '📝',
-						'error': '❌',
-						'unknown': '❓'
-					}[reason] || '❓';
-					const label = {
-						'timeout': 'Timeout',
-						'wrong_exit_code': 'Wrong Exit Code',
-						'wrong_output': 'Wrong Output',
-						'error': 'Error',
-						'unknown': 'Unknown'
-					}[reason] || reason;
-					return `<div class="failure-reason">${icon} ${label}: ${count}</div>`;
+					const { icon, label, description } = Outcomes.info(reason);
+					return `<div class="failure-reason" title="${this.escapeHtml(description)}">${icon} ${label}: ${count}</div>`;
 				})
 				.join('');
 			failureBreakdown = `<div class="failure-breakdown">${reasons}</div>`;
 		}
 
+		// Share of all test failures per test case, with its most frequent reason
+		let testBreakdown = '';
+		const failuresByTest = Object.entries(stats.failuresByTest || {});
+		if (failuresByTest.length > 0) {
+			const totalFailures = failuresByTest.reduce((sum, [, test]) => sum + test.failures, 0);
+			const rows = failuresByTest
+				.sort((a, b) => b[1].failures - a[1].failures)
+				.map(([testNumber, test]) => {
+					const share = ((test.failures / totalFailures) * 100).toFixed(0);
+					const [topReason] = Object.entries(test.reasons).sort((a, b) => b[1] - a[1])[0] || ['unknown'];
+					const top = Outcomes.info(topReason);
+					return `
+						<div class="stats-bar-row" title="${this.escapeHtml(top.label)}">
+							<span class="stats-bar-label">Test ${testNumber}</span>
+							<span class="stats-bar"><span class="stats-bar-fill failed" style="width: ${share}%"></span></span>
+							<span class="stats-bar-value">${share}% (${test.failures}) ${top.icon}</span>
+						</div>
+					`;
+				})
+				.join('');
+			testBreakdown = `
+				<div class="stats-section">
+					<h5>Failures per test case</h5>
+					${rows}
+				</div>
+			`;
+		}
+
+		// How many attempts students needed before their first pass
+		let attemptsDistribution = '';
+		const attempts = Object.entries(stats.attemptsUntilSuccess || {});
+		if (attempts.length > 0) {
+			const buckets = [['1', 1, 1], ['2', 2, 2], ['3', 3, 3], ['4-5', 4, 5], ['6-10', 6, 10], ['>10', 11, Infinity]]
+				.map(([label, min, max]) => ({
+					label,
+					count: attempts
+						.filter(([n]) => Number(n) >= min && Number(n) <= max)
+						.reduce((sum, [, count]) => sum + count, 0)
+				}));
+			const students = buckets.reduce((sum, b) => sum + b.count, 0);
+			const rows = buckets
+				.map(b => `
+					<div class="stats-bar-row">
+						<span class="stats-bar-label">${b.label}</span>
+						<span class="stats-bar"><span class="stats-bar-fill success" style="width: ${((b.count / students) * 100).toFixed(0)}%"></span></span>
+						<span class="stats-bar-value">${b.count}</span>
+					</div>
+				`)
+				.join('');
+			attemptsDistribution = `
+				<div class="stats-section">
+					<h5>Attempts until first success (${students} student${students === 1 ? '' : 's'})</h5>
+					${rows}
+				</div>
+			`;
+		}
+
 		statsContainer.innerHTML = `
 			<div class="stats-content">
 				<h4>📊 Exercise Statistics</h4>
@@ -472,13 +1175,15 @@ class ExerciseApp {
 					</div>
 				</div>
 				${failureBreakdown}
+				${testBreakdown}
+				${attemptsDistribution}
 			</div>
 		`;
 	}
 
 	async loadExerciseStatistics(exerciseId) {
 		try {
-			const resp = await fetch(`https://bikc.howest.be/bexercises/api/statistics/${encodeURIComponent(exerciseId)}`);
+			const resp = await this.apiFetch(`/statistics/${encodeURIComponent(exerciseId)}`);
 			if (!resp.ok) return;
 			const stats = await resp.json();
 			this.displayStatistics(stats);
@@ -503,18 +1208,99 @@ class ExerciseApp {
 
 	resetCode() {
 		if (confirm('Are you sure you want to reset your code? This will remove all your changes.')) {
-			this.codeEditor.setValue('#!/bin/bash\n\n# Write your solution here\n');
-			this.updateExerciseProgress(this.currentExercise.id, '#!/bin/bash\n\n# Write your solution here\n', false);
+			this.codeEditor.setValue(DEFAULT_CODE);
+			this.updateExerciseProgress(this.currentExercise.id, DEFAULT_CODE, false);
 			this.saveProgress();
+			if (this.user) {
+				this.saveCodeToServer(this.currentExercise.id, DEFAULT_CODE, { reset: true });
+			}
 		}
 	}
 
-	showSolution() {
+	// The server decides whether the solution may be shown (reveal policy)
+	async showSolution() {
 		if (!this.currentExercise) return;
 
 		if (confirm('Are you sure you want to see the solution? This will replace your current code.')) {
-			this.codeEditor.setValue(this.currentExercise.solution);
+			const resp = await this.apiFetch(`/exercises/${encodeURIComponent(this.currentExercise.id)}/solution`);
+			const data = await resp.json().catch(() => ({}));
+			if (!resp.ok) {
+				alert(data.error || 'The solution is not available.');
+				return;
+			}
+			this.codeEditor.setValue(data.solution);
 			this.saveProgress();
+			if (document.getElementById('history-tab').classList.contains('active')) {
+				this.loadHistory();
+			}
+		}
+	}
+
+	// Fetch the reveal status and hints of the current exercise again; both
+	// depend on the user's runs and on who is logged in
+	async refreshUnlocks() {
+		if (!this.currentExercise) return;
+		const exerciseId = this.currentExercise.id;
+		try {
+			const resp = await this.apiFetch(`/exercises/${encodeURIComponent(exerciseId)}`);
+			if (!resp.ok) return;
+			const exercise = await resp.json();
+			if (!this.currentExercise || this.currentExercise.id !== exerciseId) return;
+			this.currentExercise.reveal = exercise.reveal;
+			this.currentExercise.hints = exercise.hints;
+			this.renderUnlocks(this.currentExercise);
+		} catch (err) {
+			console.error(err);
+		}
+	}
+
+	// Show Solution button and hints panel for an exercise from GET /exercises/:id
+	renderUnlocks(exercise) {
+		const solutionButton = document.getElementById('show-solution');
+		const reveal = exercise.reveal;
+		solutionButton.disabled = !reveal || !reveal.allowed;
+		solutionButton.title = reveal && reveal.reason ? reveal.reason : '';
+
+		const hints = exercise.hints || { total: 0, revealed: [] };
+		document.getElementById('exercise-hints').style.display = hints.total > 0 ? 'block' : 'none';
+		document.getElementById('hint-list').innerHTML = hints.revealed
+			.map(hint => `<li>${marked.parseInline(hint)}</li>`)
+			.join('');
+
+		const remaining = hints.total - hints.revealed.length;
+		const nextButton = document.getElementById('next-hint');
+		nextButton.style.display = this.user && remaining > 0 ? '' : 'none';
+		nextButton.textContent = hints.revealed.length === 0 ? 'Show a hint' : 'Show the next hint';
+		let status = '';
+		if (!this.user) {
+			status = `${hints.total} ${hints.total === 1 ? 'hint' : 'hints'} available. Log in to open them.`;
+		} else if (remaining > 0) {
+			status = `${hints.revealed.length} of ${hints.total} hints opened`;
+		}
+		document.getElementById('hint-status').textContent = status;
+	}
+
+	// Hints open one at a time; the server records each in the history
+	async showNextHint() {
+		if (!this.currentExercise) return;
+		const exerciseId = this.currentExercise.id;
+		const button = document.getElementById('next-hint');
+		button.disabled = true;
+		try {
+			const resp = await this.apiFetch(`/exercises/${encodeURIComponent(exerciseId)}/hints`, { method: 'POST' });
+			const data = await resp.json().catch(() => ({}));
+			// 409 (nothing left to open) still carries the current hints
+			if (!data.hints) throw new Error(data.error || `Server error: ${resp.status}`);
+			if (!this.currentExercise || this.currentExercise.id !== exerciseId) return;
+			this.currentExercise.hints = data.hints;
+			this.renderUnlocks(this.currentExercise);
+			if (document.getElementById('history-tab').classList.contains('active')) {
+				this.loadHistory();
+			}
+		} catch (err) {
+			alert('Failed to open a hint: ' + err.message);
+		} finally {
+			button.disabled = false;
 		}
 	}
 
@@ -534,17 +1320,230 @@ class ExerciseApp {
 	}
 
 	saveProgress() {
-		localStorage.setItem('bash-exercises-progress', JSON.stringify(this.progress));
+		// Logged-in progress lives on the server; keep it out of shared lab PCs' localStorage
+		if (this.user) return;
+		localStorage.setItem(PROGRESS_KEY, JSON.stringify(this.progress));
 	}
 
 	loadProgress() {
-		const saved = localStorage.getItem('bash-exercises-progress');
+		const saved = localStorage.getItem(PROGRESS_KEY);
 		return saved ? JSON.parse(saved) : {};
 	}
 
+	// Keep the editor contents in the progress and, when logged in, push them
+	// to the server shortly after typing stops
+	rememberCode(exerciseId, code) {
+		const existing = this.progress[exerciseId];
+		if (existing ? existing.code === code : code === DEFAULT_CODE) return;
+
+		if (!existing) {
+			this.progress[exerciseId] = { completed: false };
+		}
+		this.progress[exerciseId].code = code;
+		this.progress[exerciseId].lastModified = new Date().toISOString();
+		this.saveProgress();
+
+		if (this.user) {
+			clearTimeout(this.serverSaveTimer);
+			this.serverSaveTimer = setTimeout(() => this.saveCodeToServer(exerciseId, code), 1500);
+		}
+	}
+
+	async saveCodeToServer(exerciseId, code, { reset = false } = {}) {
+		try {
+			await this.apiFetch(`/progress/${encodeURIComponent(exerciseId)}`, {
+				method: 'PUT',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ code, reset })
+			});
+		} catch (err) {
+			console.error('Failed to save progress:', err);
+		}
+	}
+
+	// fetch() against the API, adding the session token when logged in
+	apiFetch(apiPath, options = {}) {
+		const headers = { ...(options.headers || {}) };
+		if (this.authToken) {
+			headers['Authorization'] = `Bearer ${this.authToken}`;
+		}
+		return fetch(`${API_BASE}${apiPath}`, { ...options, headers });
+	}
+
+	// ---------- Accounts ----------
+	async setupAccount() {
+		this.renderAccountArea();
+		if (!this.authToken) return;
+
+		try {
+			const resp = await this.apiFetch('/auth/me');
+			if (!resp.ok) {
+				// Expired or revoked session
+				this.authToken = null;
+				localStorage.removeItem(TOKEN_KEY);
+				return;
+			}
+			const data = await resp.json();
+			this.user = data.user;
+			await this.loadServerProgress();
+		} catch (err) {
+			console.error('Failed to restore session:', err);
+		} finally {
+			this.renderAccountArea();
+		}
+	}
+
+	renderAccountArea() {
+		const area = document.getElementById('account-area');
+		if (!area) return;
+
+		if (this.user) {
+			area.innerHTML = `
+				<span class="account-name">👤 ${this.escapeHtml(this.user.displayName)}</span>
+				${this.user.role === 'instructor' || this.user.role === 'admin'
+					? `<a href="dashboard.html" class="btn btn-account">📊 Dashboard</a>
+						<a href="admin.html" class="btn btn-account">✏️ Edit exercises</a>`
+					: ''}
+				<button id="logout-button" class="btn btn-account">Log out</button>
+			`;
+			document.getElementById('logout-button').addEventListener('click', () => this.logout());
+		} else {
+			area.innerHTML = '<button id="login-button" class="btn btn-account">Log in</button>';
+			document.getElementById('login-button').addEventListener('click', () => this.showLoginDialog());
+		}
+	}
+
+	showLoginDialog() {
+		const overlay = document.createElement('div');
+		overlay.className = 'login-overlay';
+		overlay.innerHTML = `
+			<form class="login-dialog">
+				<h3>Log in</h3>
+				<p class="login-info">Log in to keep your code and progress across computers.</p>
+				<label>Username <input name="username" autocomplete="username" required></label>
+				<label class="register-only" style="display: none;">Display name <input name="displayName" autocomplete="name"></label>
+				<label>Password <input name="password" type="password" autocomplete="current-password" required></label>
+				<p class="login-error"></p>
+				<div class="login-actions">
+					<button type="submit" class="btn btn-primary">Log in</button>
+					<button type="button" class="btn btn-secondary login-cancel">Cancel</button>
+				</div>
+				<a href="#" class="login-switch">No account yet? Register</a>
+			</form>
+		`;
+		document.body.appendChild(overlay);
+
+		const form = overlay.querySelector('form');
+		let mode = 'login';
+		const close = () => overlay.remove();
+
+		overlay.querySelector('.login-cancel').addEventListener('click', close);
+		overlay.querySelector('.login-switch').addEventListener('click', (e) => {
+			e.preventDefault();
+			mode = mode === 'login' ? 'register' : 'login';
+			const registering = mode === 'register';
+			form.querySelector('h3').textContent = registering ? 'Register' : 'Log in';
+			form.querySelector('button[type="submit"]').textContent = registering ? 'Register' : 'Log in';
+			form.querySelector('.register-only').style.display = registering ? 'block' : 'none';
+			form.querySelector('input[name="password"]').autocomplete = registering ? 'new-password' : 'current-password';
+			e.target.textContent = registering ? 'Already have an account? Log in' : 'No account yet? Register';
+		});
+
+		form.addEventListener('submit', async (e) => {
+			e.preventDefault();
+			const errorEl = form.querySelector('.login-error');
+			errorEl.textContent = '';
+			try {
+				await this.login(mode, {
+					username: form.username.value,
+					password: form.password.value,
+					displayName: form.displayName.value
+				});
+				close();
+			} catch (err) {
+				errorEl.textContent = err.message;
+			}
+		});
+		form.username.focus();
+	}
+
+	async login(mode, credentials) {
+		const resp = await this.apiFetch(`/auth/${mode === 'register' ? 'register' : 'login'}`, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(credentials)
+		});
+		const data = await resp.json().catch(() => ({}));
+		if (!resp.ok) {
+			throw new Error(data.error || `Login failed (${resp.status})`);
+		}
+
+		this.authToken = data.token;
+		this.user = data.user;
+		localStorage.setItem(TOKEN_KEY, data.token);
+		await this.loadServerProgress();
+		this.renderAccountArea();
+	}
+
+	async logout() {
+		try {
+			await this.apiFetch('/auth/logout', { method: 'POST' });
+		} catch (err) {
+			// The token is dropped locally either way
+		}
+		clearTimeout(this.serverSaveTimer);
+		this.stopTerminal();
+		this.authToken = null;
+		this.user = null;
+		localStorage.removeItem(TOKEN_KEY);
+		this.progress = this.loadProgress();
+		this.renderAccountArea();
+		this.refreshAfterProgressChange();
+	}
+
+	// Replace the in-memory progress with the server's copy. The first time an
+	// account is used, the browser's localStorage progress is imported into it.
+	async loadServerProgress() {
+		let resp = await this.apiFetch('/progress');
+		if (!resp.ok) throw new Error('Failed to load progress');
+		let serverProgress = await resp.json();
+
+		if (!serverProgress.importedAt) {
+			resp = await this.apiFetch('/progress/import', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ progress: this.loadProgress() })
+			});
+			if (resp.ok) {
+				serverProgress = (await resp.json()).progress;
+			}
+		}
+
+		this.progress = {};
+		Object.entries(serverProgress.exercises || {}).forEach(([exerciseId, entry]) => {
+			this.progress[exerciseId] = {
+				code: entry.code,
+				completed: entry.completed,
+				lastModified: entry.lastModified
+			};
+		});
+		this.refreshAfterProgressChange();
+	}
+
+	refreshAfterProgressChange() {
+		this.updateProgressDisplay();
+		this.populateExerciseMenu();
+		if (this.currentExercise) {
+			const exerciseId = this.currentExercise.id;
+			this.codeEditor.setValue(this.progress[exerciseId]?.code || DEFAULT_CODE);
+			this.updateCompletionStatus(exerciseId);
+			this.refreshUnlocks();
+		}
+	}
+
 	updateProgressDisplay() {
-		const totalExercises = exercises.length;
-		const completedExercises = Object.values(this.progress).filter(p => p.completed).length;
+		const totalExercises = this.exerciseIds.length;
+		const completedExercises = this.exerciseIds.filter(id => this.progress[id]?.completed).length;
 		const percentage = totalExercises > 0 ? (completedExercises / totalExercises) * 100 : 0;
 
 		document.getElementById('progress-text').textContent =
@@ -556,11 +1555,16 @@ class ExerciseApp {
 		document.getElementById('run-tests').addEventListener('click', () => this.runTests());
 		//document.getElementById('test-interactive').addEventListener('click', () => this.testInteractive());
 		document.getElementById('reset-code').addEventListener('click', () => this.resetCode());
-		//document.getElementById('show-solution').addEventListener('click', () => this.showSolution());
+		document.getElementById('scratch-run').addEventListener('click', () => this.runScratch());
+		document.getElementById('show-solution').addEventListener('click', () => this.showSolution());
+		document.getElementById('next-hint').addEventListener('click', () => this.showNextHint());
 
 		// Terminal controls
-		//document.getElementById('clear-terminal').addEventListener('click', () => this.clearTerminal());
-		//document.getElementById('run-script').addEventListener('click', () => this.runScriptInTerminal());
+		document.getElementById('restart-terminal').addEventListener('click', () => {
+			this.startTerminal();
+			if (this.terminal) this.terminal.focus();
+		});
+		document.getElementById('stop-terminal').addEventListener('click', () => this.stopTerminal());
 
 		// Handle browser back/forward
 		window.addEventListener('popstate', () => {
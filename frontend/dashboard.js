@@ -0,0 +1,212 @@
+/**
+ * Instructor dashboard: class-wide progress per exercise and per student,
+ * computed by the server from the submission history (GET /api/dashboard)
+ */
+const API_BASE = 'https://bikc.howest.be/bexercises/api';
+const TOKEN_KEY = 'bash-exercises-token';
+
+class TeacherDashboard {
+	constructor() {
+		this.authToken = localStorage.getItem(TOKEN_KEY);
+		this.data = null;
+
+		this.init();
+	}
+
+	async init() {
+		if (!this.authToken) {
+			this.showMessage('Log in with an instructor account on the exercises page first.');
+			return;
+		}
+
+		try {
+			const resp = await this.apiFetch('/auth/me');
+			if (!resp.ok) {
+				this.showMessage('Your session has expired. Log in again on the exercises page.');
+				return;
+			}
+			const { user } = await resp.json();
+			document.getElementById('dashboard-user').textContent = `👤 ${user.displayName}`;
+			if (user.role !== 'instructor' && user.role !== 'admin') {
+				this.showMessage('The dashboard is only available to instructors.');
+				return;
+			}
+		} catch (err) {
+			console.error('Failed to check session:', err);
+			this.showMessage('Could not reach the server.');
+			return;
+		}
+
+		this.setupEventListeners();
+		await this.loadChapters();
+		await this.loadDashboard();
+	}
+
+	// fetch() against the API with the session token
+	apiFetch(apiPath, options = {}) {
+		const headers = { ...(options.headers || {}), Authorization: `Bearer ${this.authToken}` };
+		return fetch(`${API_BASE}${apiPath}`, { ...options, headers });
+	}
+
+	setupEventListeners() {
+		document.getElementById('dashboard-filters').addEventListener('submit', (e) => {
+			e.preventDefault();
+			this.loadDashboard();
+		});
+		document.getElementById('export-csv').addEventListener('click', () => this.exportCsv());
+		document.getElementById('only-stuck').addEventListener('change', () => this.renderStudents());
+	}
+
+	async loadChapters() {
+		try {
+			const resp = await this.apiFetch('/exercises');
+			const exercises = await resp.json();
+			const chapters = [...new Set(exercises.map(ex => ex.chapter || 'Uncategorized'))];
+			const select = document.getElementById('filter-chapter');
+			for (const chapter of chapters) {
+				const option = document.createElement('option');
+				option.value = chapter;
+				option.textContent = chapter;
+				select.appendChild(option);
+			}
+		} catch (err) {
+			console.error('Failed to load chapters:', err);
+		}
+	}
+
+	// Query string for the current filter values
+	filterQuery() {
+		const params = new URLSearchParams();
+		const chapter = document.getElementById('filter-chapter').value;
+		const from = document.getElementById('filter-from').value;
+		const to = document.getElementById('filter-to').value;
+		const stuckAfter = document.getElementById('filter-stuck').value;
+		if (chapter) params.set('chapter', chapter);
+		if (from) params.set('from', from);
+		if (to) params.set('to', to);
+		if (stuckAfter) params.set('stuckAfter', stuckAfter);
+		return params;
+	}
+
+	async loadDashboard() {
+		this.showMessage('Loading...');
+		try {
+			const resp = await this.apiFetch(`/dashboard?${this.filterQuery()}`);
+			const data = await resp.json();
+			if (!resp.ok) {
+				this.showMessage(data.error || 'Failed to load the dashboard.');
+				return;
+			}
+			this.data = data;
+			this.showMessage(data.students.length === 0 ? 'No submissions match these filters.' : '');
+			this.renderExercises();
+			this.renderStudents();
+		} catch (err) {
+			console.error('Failed to load dashboard:', err);
+			this.showMessage('Failed to load the dashboard.');
+		}
+	}
+
+	renderExercises() {
+		const rows = this.data.exercises.map(ex => `
+			<tr>
+				<td>${this.escapeHtml(ex.chapter)}</td>
+				<td>${this.escapeHtml(ex.exerciseTitle)}</td>
+				<td>${ex.studentsPassed}/${ex.students}</td>
+				<td>${ex.totalAttempts}</td>
+				<td>${ex.avgAttemptsUntilFirstPass !== null ? ex.avgAttemptsUntilFirstPass : '-'}</td>
+				<td>${ex.mostCommonFailingTest !== null ? `Test ${ex.mostCommonFailingTest}` : '-'}</td>
+				<td>${this.formatMinutes(ex.avgTimeSpentMinutes)}</td>
+				<td class="${ex.stuckStudents.length > 0 ? 'stuck' : ''}">${ex.stuckStudents.length > 0 ? this.escapeHtml(ex.stuckStudents.join(', ')) : '-'}</td>
+			</tr>
+		`).join('');
+
+		document.getElementById('exercise-summary').innerHTML = `
+			<table class="dashboard-table">
+				<thead>
+					<tr>
+						<th>Chapter</th><th>Exercise</th><th>Passed</th><th>Attempts</th>
+						<th>Avg. attempts to pass</th><th>Most failed test</th><th>Avg. time</th><th>Stuck</th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+		`;
+	}
+
+	renderStudents() {
+		if (!this.data) return;
+		const onlyStuck = document.getElementById('only-stuck').checked;
+		const students = onlyStuck ? this.data.students.filter(s => s.stuck) : this.data.students;
+
+		const rows = students.map(s => `
+			<tr class="${s.stuck ? 'stuck' : ''}">
+				<td title="${this.escapeHtml(s.username)}">${this.escapeHtml(s.displayName)}</td>
+				<td>${this.escapeHtml(s.exerciseTitle)}</td>
+				<td>${s.passed ? '✅' : (s.stuck ? '🚧' : '❌')}</td>
+				<td>${s.attempts}</td>
+				<td>${s.attemptsUntilFirstPass !== null ? s.attemptsUntilFirstPass : '-'}</td>
+				<td>${s.mostCommonFailingTest !== null ? `Test ${s.mostCommonFailingTest}` : '-'}</td>
+				<td>${this.formatMinutes(s.timeSpentMinutes)}</td>
+				<td>${new Date(s.lastAttemptAt).toLocaleString()}</td>
+			</tr>
+		`).join('');
+
+		document.getElementById('student-table').innerHTML = `
+			<table class="dashboard-table">
+				<thead>
+					<tr>
+						<th>Student</th><th>Exercise</th><th>Status</th><th>Attempts</th>
+						<th>Attempts to pass</th><th>Most failed test</th><th>Time spent</th><th>Last attempt</th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+		`;
+	}
+
+	// Download the per-student rows as CSV (needs the auth header, so no plain link)
+	async exportCsv() {
+		try {
+			const params = this.filterQuery();
+			params.set('format', 'csv');
+			const resp = await this.apiFetch(`/dashboard?${params}`);
+			if (!resp.ok) {
+				this.showMessage('Failed to export CSV.');
+				return;
+			}
+			const blob = await resp.blob();
+			const url = URL.createObjectURL(blob);
+			const link = document.createElement('a');
+			link.href = url;
+			link.download = 'bexercises-dashboard.csv';
+			document.body.appendChild(link);
+			link.click();
+			link.remove();
+			URL.revokeObjectURL(url);
+		} catch (err) {
+			console.error('Failed to export CSV:', err);
+			this.showMessage('Failed to export CSV.');
+		}
+	}
+
+	formatMinutes(minutes) {
+		if (!minutes) return '-';
+		if (minutes < 60) return `${minutes} min`;
+		return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+	}
+
+	showMessage(message) {
+		document.getElementById('dashboard-message').textContent = message;
+	}
+
+	escapeHtml(text) {
+		const div = document.createElement('div');
+		div.textContent = text;
+		return div.innerHTML;
+	}
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+	new TeacherDashboard();
+});
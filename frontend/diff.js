@@ -0,0 +1,173 @@
+/**
+ * Line- and character-level diff used to show students where their output
+ * differs from the expected output. Plain LCS: outputs of the exercises are
+ * small, so clarity beats the speed of fancier algorithms.
+ * Works in the browser (window.OutputDiff) and in Node (module.exports).
+ */
+const OutputDiff = (() => {
+	// Above this many cells the LCS table gets too big; fall back to "replace everything"
+	const MAX_LCS_CELLS = 1000000;
+	const MAX_CHAR_DIFF_LENGTH = 2000;
+
+	// Split text into lines, remembering whether the last line ended with a newline
+	function splitLines(text) {
+		const s = String(text == null ? '' : text);
+		if (s === '') return { lines: [], missingFinalNewline: false };
+		const endsWithNewline = s.endsWith('\n');
+		const lines = (endsWithNewline ? s.slice(0, -1) : s).split('\n');
+		return { lines, missingFinalNewline: !endsWithNewline };
+	}
+
+	// Generic LCS diff over two arrays. Returns [{ type, value, oldIndex, newIndex }]
+	// with type 'equal', 'removed' (only in a) or 'added' (only in b).
+	function diffSequences(a, b) {
+		const n = a.length;
+		const m = b.length;
+
+		// Trim common prefix/suffix first, keeps the table small for near-identical outputs
+		let start = 0;
+		while (start < n && start < m && a[start] === b[start]) start++;
+		let endA = n;
+		let endB = m;
+		while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+			endA--;
+			endB--;
+		}
+
+		const ops = [];
+		for (let i = 0; i < start; i++) {
+			ops.push({ type: 'equal', value: a[i], oldIndex: i, newIndex: i });
+		}
+
+		const rows = endA - start;
+		const cols = endB - start;
+		if (rows * cols > MAX_LCS_CELLS) {
+			for (let i = start; i < endA; i++) ops.push({ type: 'removed', value: a[i], oldIndex: i, newIndex: null });
+			for (let j = start; j < endB; j++) ops.push({ type: 'added', value: b[j], oldIndex: null, newIndex: j });
+		} else {
+			// lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+			const lcs = [];
+			for (let i = 0; i <= rows; i++) lcs.push(new Array(cols + 1).fill(0));
+			for (let i = rows - 1; i >= 0; i--) {
+				for (let j = cols - 1; j >= 0; j--) {
+					lcs[i][j] = a[start + i] === b[start + j]
+						? lcs[i + 1][j + 1] + 1
+						: Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+				}
+			}
+			let i = 0;
+			let j = 0;
+			while (i < rows || j < cols) {
+				if (i < rows && j < cols && a[start + i] === b[start + j]) {
+					ops.push({ type: 'equal', value: a[start + i], oldIndex: start + i, newIndex: start + j });
+					i++;
+					j++;
+				} else if (j < cols && (i === rows || lcs[i][j + 1] >= lcs[i + 1][j])) {
+					ops.push({ type: 'added', value: b[start + j], oldIndex: null, newIndex: start + j });
+					j++;
+				} else {
+					ops.push({ type: 'removed', value: a[start + i], oldIndex: start + i, newIndex: null });
+					i++;
+				}
+			}
+		}
+
+		for (let k = 0; k < n - endA; k++) {
+			ops.push({ type: 'equal', value: a[endA + k], oldIndex: endA + k, newIndex: endB + k });
+		}
+
+		// Within a changed block show removals before additions, like `diff -u`
+		return groupChanges(ops);
+	}
+
+	function groupChanges(ops) {
+		const result = [];
+		let removed = [];
+		let added = [];
+		const flush = () => {
+			result.push(...removed, ...added);
+			removed = [];
+			added = [];
+		};
+		for (const op of ops) {
+			if (op.type === 'removed') removed.push(op);
+			else if (op.type === 'added') added.push(op);
+			else {
+				flush();
+				result.push(op);
+			}
+		}
+		flush();
+		return result;
+	}
+
+	// Character diff of two strings, merged into runs: [{ type, text }]
+	function diffChars(a, b) {
+		if (a.length > MAX_CHAR_DIFF_LENGTH || b.length > MAX_CHAR_DIFF_LENGTH) {
+			return [{ type: 'removed', text: a }, { type: 'added', text: b }].filter(p => p.text !== '');
+		}
+		return mergeRuns(diffSequences(a.split(''), b.split('')).map(op => ({ type: op.type, text: op.value })));
+	}
+
+	function mergeRuns(runs) {
+		const merged = [];
+		for (const run of runs) {
+			const last = merged[merged.length - 1];
+			if (last && last.type === run.type) last.text += run.text;
+			else merged.push({ type: run.type, text: run.text });
+		}
+		return merged;
+	}
+
+	// Full line diff of expected vs actual. Each line entry:
+	// { type, text, oldLine, newLine, chars? } (line numbers are 1-based or null).
+	// Removed/added lines that face each other in a changed block get `chars`,
+	// the character-level runs relevant to that side.
+	function diffLines(expected, actual) {
+		const oldText = splitLines(expected);
+		const newText = splitLines(actual);
+		const lines = diffSequences(oldText.lines, newText.lines).map(op => ({
+			type: op.type,
+			text: op.value,
+			oldLine: op.oldIndex === null ? null : op.oldIndex + 1,
+			newLine: op.newIndex === null ? null : op.newIndex + 1
+		}));
+
+		// Pair up removed/added lines of each changed block for the char-level diff
+		let i = 0;
+		while (i < lines.length) {
+			if (lines[i].type !== 'removed') {
+				i++;
+				continue;
+			}
+			const removedStart = i;
+			while (i < lines.length && lines[i].type === 'removed') i++;
+			const addedStart = i;
+			while (i < lines.length && lines[i].type === 'added') i++;
+			const pairs = Math.min(addedStart - removedStart, i - addedStart);
+			for (let k = 0; k < pairs; k++) {
+				const oldLine = lines[removedStart + k];
+				const newLine = lines[addedStart + k];
+				const runs = diffChars(oldLine.text, newLine.text);
+				oldLine.chars = mergeRuns(runs.filter(r => r.type !== 'added'));
+				newLine.chars = mergeRuns(runs.filter(r => r.type !== 'removed'));
+			}
+		}
+
+		return {
+			lines,
+			identical: lines.every(l => l.type === 'equal')
+				&& oldText.missingFinalNewline === newText.missingFinalNewline,
+			expectedMissingFinalNewline: oldText.missingFinalNewline,
+			actualMissingFinalNewline: newText.missingFinalNewline
+		};
+	}
+
+	return { splitLines, diffSequences, diffChars, diffLines };
+})();
+
+if (typeof window !== 'undefined') {
+	window.OutputDiff = OutputDiff;
+} else if (typeof module !== 'undefined' && module.exports) {
+	module.exports = OutputDiff;
+}
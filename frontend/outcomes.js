@@ -0,0 +1,128 @@
+/**
+ * Outcome model for a test result, shared by the server (classification and
+ * statistics) and the frontend (icons and explanations). A failed test gets
+ * exactly one outcome: the first that applies, in the order of FAILURES.
+ * Works in the browser (window.Outcomes) and in Node (module.exports).
+ */
+const Outcomes = (() => {
+	const COMMAND_NOT_FOUND_EXIT_CODE = 127;
+
+	const INFO = {
+		passed: {
+			icon: '✅',
+			label: 'Passed',
+			description: 'The test passed.'
+		},
+		infrastructure_error: {
+			icon: '🛠️',
+			label: 'Infrastructure Error',
+			description: 'The test could not be run because of a problem on the server, not in your script. Try again later.'
+		},
+		timeout: {
+			icon: '⏱️',
+			label: 'Timeout',
+			description: 'Your script did not finish in time. Look for an endless loop or a read waiting for input that never comes.'
+		},
+		oom_killed: {
+			icon: '💾',
+			label: 'Out of Memory',
+			description: 'Your script used more memory than allowed and was stopped. Look for a loop that keeps growing a variable or array, or for reading a huge file into memory at once.'
+		},
+		pids_exhausted: {
+			icon: '🍴',
+			label: 'Too Many Processes',
+			description: 'Your script started more processes than allowed and could not create new ones. Look for a function that calls itself, or a loop that keeps starting commands in the background with "&".'
+		},
+		output_limit: {
+			icon: '📜',
+			label: 'Too Much Output',
+			description: 'Your script printed more than allowed and was stopped. Look for a loop that never ends or a command like "yes" that prints forever.'
+		},
+		syntax_error: {
+			icon: '🧩',
+			label: 'Syntax Error',
+			description: 'Bash could not parse your script. Check the line mentioned in the error for a missing "fi", "done", quote or bracket.'
+		},
+		command_not_found: {
+			icon: '🔍',
+			label: 'Command Not Found',
+			description: 'Your script tried to run a command that does not exist (exit code 127). Check for typos and missing spaces, e.g. "[$x" instead of "[ $x".'
+		},
+		wrong_exit_code: {
+			icon: '🚪',
+			label: 'Wrong Exit Code',
+			description: 'Your script exited with a different exit code than expected.'
+		},
+		wrong_output: {
+			icon: '📝',
+			label: 'Wrong Output',
+			description: 'Your script printed something different than expected.'
+		},
+		wrong_stderr: {
+			icon: '⚠️',
+			label: 'Wrong Stderr',
+			description: 'Your script wrote something different to stderr than expected.'
+		},
+		wrong_files: {
+			icon: '📁',
+			label: 'Wrong Output Files',
+			description: 'The files your script left behind do not match what was expected.'
+		},
+		unknown: {
+			icon: '❓',
+			label: 'Unknown',
+			description: 'The test failed for an unknown reason.'
+		},
+		// Buckets recorded by older versions of the statistics
+		error: {
+			icon: '❌',
+			label: 'Error',
+			description: 'The test could not be run.'
+		}
+	};
+
+	// Failure outcomes in classification order
+	const FAILURES = [
+		'infrastructure_error',
+		'timeout',
+		'oom_killed',
+		'pids_exhausted',
+		'output_limit',
+		'syntax_error',
+		'command_not_found',
+		'wrong_exit_code',
+		'wrong_output',
+		'wrong_stderr',
+		'wrong_files'
+	];
+
+	// Outcome of one test result (as returned by POST /api/exercises/:id/run)
+	function classify(result) {
+		if (result.passed) return 'passed';
+		if (result.error) return 'infrastructure_error';
+		if (result.timedOut) return 'timeout';
+		if (result.oomKilled) return 'oom_killed';
+		if (result.pidsExhausted) return 'pids_exhausted';
+		if (result.truncated) return 'output_limit';
+		if (result.syntaxError) return 'syntax_error';
+		const exitCodeMatches = String(result.exitCode) === String(result.expectedExitCode);
+		if (result.exitCode === COMMAND_NOT_FOUND_EXIT_CODE && !exitCodeMatches) return 'command_not_found';
+		if (!exitCodeMatches) return 'wrong_exit_code';
+		if (!result.outputMatched) return 'wrong_output';
+		if (result.stderrMatched === false) return 'wrong_stderr';
+		if (result.fileResults && result.fileResults.some(f => !f.passed)) return 'wrong_files';
+		return 'unknown';
+	}
+
+	function info(outcome) {
+		return INFO[outcome] || { icon: '❓', label: outcome, description: '' };
+	}
+
+	return { FAILURES, classify, info };
+})();
+
+if (typeof window !== 'undefined') {
+	window.Outcomes = Outcomes;
+} else if (typeof module !== 'undefined' && module.exports) {
+	module.exports = Outcomes;
+}
@@ -0,0 +1,252 @@
+// lib/auth.js
+// User accounts and sessions.
+//
+// Users live in a JsonStore keyed by username. Credentials are checked by
+// auth providers, tried in order until one accepts:
+//   - the built-in "local" provider (scrypt-hashed passwords in the user store)
+//   - optional extra providers (e.g. LDAP or the school SSO), loaded from a
+//     module exporting { name, authenticate(username, password) } where
+//     authenticate resolves with { displayName?, role? } or null.
+// Users accepted by an extra provider are created in the store on first login.
+//
+// Sessions are random bearer tokens; only their SHA-256 is stored.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const ROLES = ['student', 'instructor', 'admin'];
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,63}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+class AuthError extends Error {
+	constructor(message, status = 400) {
+		super(message);
+		this.name = 'AuthError';
+		this.status = status;
+	}
+}
+
+async function hashPassword(password) {
+	const salt = crypto.randomBytes(16).toString('hex');
+	const key = await scrypt(password, salt, 64);
+	return `scrypt:${salt}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+	if (typeof stored !== 'string') return false;
+	const [scheme, salt, hex] = stored.split(':');
+	if (scheme !== 'scrypt' || !salt || !hex) return false;
+	const expected = Buffer.from(hex, 'hex');
+	const key = await scrypt(password, salt, expected.length);
+	return crypto.timingSafeEqual(key, expected);
+}
+
+function hashToken(token) {
+	return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function normalizeUsername(username) {
+	return String(username || '').trim().toLowerCase();
+}
+
+// Public view of a user record (never includes the password hash)
+function publicUser(user) {
+	return {
+		username: user.username,
+		displayName: user.displayName || user.username,
+		role: user.role || 'student',
+		provider: user.provider || 'local'
+	};
+}
+
+// Built-in provider: passwords stored in the user store
+function createLocalProvider(usersStore) {
+	return {
+		name: 'local',
+		async authenticate(username, password) {
+			const users = await usersStore.read();
+			const user = users[username];
+			if (!user || user.provider !== 'local') return null;
+			return (await verifyPassword(password, user.passwordHash)) ? user : null;
+		}
+	};
+}
+
+class Auth {
+	// options: { usersStore, sessionsStore, providers = [], allowRegistration = true }
+	constructor({ usersStore, sessionsStore, providers = [], allowRegistration = true }) {
+		this.usersStore = usersStore;
+		this.sessionsStore = sessionsStore;
+		this.allowRegistration = allowRegistration;
+		// Extra providers first, local accounts as fallback
+		this.providers = [...providers, createLocalProvider(usersStore)];
+	}
+
+	async register(username, password, displayName) {
+		if (!this.allowRegistration) {
+			throw new AuthError('Registration is disabled', 403);
+		}
+		const name = normalizeUsername(username);
+		if (!USERNAME_RE.test(name)) {
+			throw new AuthError('Username must be 2-64 characters: letters, digits, ".", "_" or "-"');
+		}
+		if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+			throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+		}
+		const passwordHash = await hashPassword(password);
+		const user = await this.usersStore.update(users => {
+			if (users[name]) {
+				throw new AuthError('Username already taken', 409);
+			}
+			users[name] = {
+				username: name,
+				displayName: (typeof displayName === 'string' && displayName.trim()) ? displayName.trim().slice(0, 100) : name,
+				role: 'student',
+				provider: 'local',
+				passwordHash,
+				createdAt: new Date().toISOString()
+			};
+			return users[name];
+		});
+		return this.createSession(user);
+	}
+
+	async login(username, password) {
+		const name = normalizeUsername(username);
+		if (!name || typeof password !== 'string') {
+			throw new AuthError('Missing username or password');
+		}
+		for (const provider of this.providers) {
+			let accepted;
+			try {
+				accepted = await provider.authenticate(name, password);
+			} catch (err) {
+				console.error(`Auth provider ${provider.name} failed:`, err.message);
+				continue;
+			}
+			if (!accepted) continue;
+			const user = provider.name === 'local'
+				? accepted
+				: await this._provisionExternalUser(name, provider.name, accepted);
+			return this.createSession(user);
+		}
+		throw new AuthError('Invalid username or password', 401);
+	}
+
+	async _provisionExternalUser(username, providerName, info) {
+		return this.usersStore.update(users => {
+			const existing = users[username];
+			if (existing && existing.provider !== providerName) {
+				// Never let an external login take over a local account (or vice versa)
+				throw new AuthError('Invalid username or password', 401);
+			}
+			users[username] = {
+				...existing,
+				username,
+				displayName: info.displayName || (existing && existing.displayName) || username,
+				// Role from the store wins so instructors can be promoted locally
+				role: (existing && existing.role) || (ROLES.includes(info.role) ? info.role : 'student'),
+				provider: providerName,
+				createdAt: (existing && existing.createdAt) || new Date().toISOString()
+			};
+			return users[username];
+		});
+	}
+
+	async createSession(user) {
+		const token = crypto.randomBytes(32).toString('hex');
+		const now = Date.now();
+		await this.sessionsStore.update(sessions => {
+			// Drop expired sessions while we are here
+			for (const [key, session] of Object.entries(sessions)) {
+				if (session.expiresAt < now) delete sessions[key];
+			}
+			sessions[hashToken(token)] = {
+				username: user.username,
+				createdAt: now,
+				expiresAt: now + SESSION_TTL_MS
+			};
+		});
+		return { token, user: publicUser(user) };
+	}
+
+	async logout(token) {
+		await this.sessionsStore.update(sessions => {
+			delete sessions[hashToken(token)];
+		});
+	}
+
+	// Public records of all known users (instructor views)
+	async listUsers() {
+		const users = await this.usersStore.read();
+		return Object.values(users).map(publicUser);
+	}
+
+	// Resolve a bearer token to a public user, or null
+	async userForToken(token) {
+		if (!token) return null;
+		const sessions = await this.sessionsStore.read();
+		const session = sessions[hashToken(token)];
+		if (!session || session.expiresAt < Date.now()) return null;
+		const users = await this.usersStore.read();
+		const user = users[session.username];
+		return user ? publicUser(user) : null;
+	}
+
+	// Express middleware: sets req.user (or null) from "Authorization: Bearer <token>"
+	middleware() {
+		return async (req, res, next) => {
+			const header = req.headers.authorization || '';
+			const match = header.match(/^Bearer\s+([A-Fa-f0-9]{64})$/);
+			req.authToken = match ? match[1] : null;
+			try {
+				req.user = await this.userForToken(req.authToken);
+			} catch (err) {
+				return next(err);
+			}
+			next();
+		};
+	}
+}
+
+function requireAuth(req, res, next) {
+	if (!req.user) {
+		return res.status(401).json({ error: 'login required' });
+	}
+	next();
+}
+
+// requireRole('instructor') also admits admins
+function requireRole(role) {
+	return (req, res, next) => {
+		if (!req.user) {
+			return res.status(401).json({ error: 'login required' });
+		}
+		if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+			return res.status(403).json({ error: 'forbidden' });
+		}
+		next();
+	};
+}
+
+// Load an extra provider module (path relative to the working directory or absolute)
+function loadProvider(modulePath) {
+	const provider = require(require('path').resolve(modulePath));
+	if (!provider || typeof provider.authenticate !== 'function' || !provider.name) {
+		throw new Error(`Auth provider ${modulePath} must export { name, authenticate(username, password) }`);
+	}
+	return provider;
+}
+
+module.exports = {
+	Auth,
+	AuthError,
+	ROLES,
+	requireAuth,
+	requireRole,
+	loadProvider,
+	publicUser
+};
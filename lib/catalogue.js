@@ -0,0 +1,123 @@
+// lib/catalogue.js
+// Checks of the whole exercise catalogue (exercises-internal.json): every
+// reference solution must pass its own test cases, run like a student's
+// submission (lib/runner.js), every fixture a test case names must exist in
+// fixtures/, ids must be unique and every fixture file should be used.
+// Used by validate-exercises.js (npm run validate-exercises) and
+// POST /api/admin/exercises/validate-all.
+//
+// Report:
+// {
+//   ok,                    // false when anything below is wrong
+//   exercises: [{ id, title, problems, skipped, passed, tests, failingTests }],
+//   duplicateIds: [id],
+//   missingFixtures: [{ exerciseId, testNumber, fixture }],
+//   unusedFixtures: [name]
+// }
+// An exercise with problems (see exerciseProblems) is skipped instead of run.
+
+const { v4: uuidv4 } = require('uuid');
+const { checkExercise } = require('./exercise-store');
+const { validateExerciseLimits } = require('./limits');
+const { validateExerciseReveal, validateExerciseHints } = require('./reveal');
+
+// Everything wrong with an exercise short of running it, as strings.
+// options: { fixtureNames (null: don't check that fixtures exist), runnerConfig }
+function exerciseProblems(exercise, { fixtureNames, runnerConfig }) {
+	const problems = checkExercise(exercise, fixtureNames);
+	// The other checks assume the basic shape is right
+	if (problems.length > 0) return problems;
+	return [
+		...validateExerciseLimits(exercise, runnerConfig),
+		...validateExerciseReveal(exercise),
+		...validateExerciseHints(exercise)
+	];
+}
+
+// The fields of a failed result worth reporting
+function failingTest(result) {
+	return {
+		testNumber: result.testNumber,
+		outcome: result.outcome,
+		arguments: result.arguments,
+		expectedOutput: result.expectedOutput,
+		actualOutput: result.actualOutput,
+		expectedExitCode: result.expectedExitCode,
+		exitCode: result.exitCode,
+		stderr: result.stderr,
+		error: result.error
+	};
+}
+
+function duplicateIds(exercises) {
+	const seen = new Set();
+	const duplicates = new Set();
+	for (const exercise of exercises) {
+		if (seen.has(exercise.id)) duplicates.add(exercise.id);
+		seen.add(exercise.id);
+	}
+	return [...duplicates];
+}
+
+// Fixtures named by test cases that are not in fixtures/, and files in fixtures/
+// that no test case names
+function fixtureUsage(exercises, fixtureNames) {
+	const used = new Set();
+	const missingFixtures = [];
+	for (const exercise of exercises) {
+		(exercise.testCases || []).forEach((tc, i) => {
+			for (const fixture of Array.isArray(tc.fixtures) ? tc.fixtures : []) {
+				used.add(fixture);
+				if (!fixtureNames.includes(fixture)) {
+					missingFixtures.push({ exerciseId: exercise.id, testNumber: i + 1, fixture });
+				}
+			}
+		});
+	}
+	return { missingFixtures, unusedFixtures: fixtureNames.filter(name => !used.has(name)) };
+}
+
+// Check `exercises` and run their solutions one exercise at a time (the test
+// cases of one exercise in parallel, as far as the runner's queue allows).
+// options: { fixtureNames: the files in fixtures/, runner (lib/runner.js), executor
+// (lib/executors.js), runnerConfig, ids: only run these exercises (all when empty),
+// onExercise(entry): called as each exercise is done }
+async function checkCatalogue(exercises, { fixtureNames, runner, executor, runnerConfig, ids = [], onExercise = () => {} }) {
+	const entries = [];
+	for (const exercise of exercises) {
+		if (ids.length > 0 && !ids.includes(exercise.id)) continue;
+		const entry = {
+			id: exercise.id,
+			title: exercise.title,
+			problems: exerciseProblems(exercise, { fixtureNames: null, runnerConfig }),
+			skipped: false,
+			passed: false,
+			tests: 0,
+			failingTests: []
+		};
+		if (entry.problems.length > 0) {
+			entry.skipped = true;
+		} else {
+			const results = await runner.runSubmission(exercise.solution, exercise, uuidv4(), executor);
+			entry.tests = results.length;
+			entry.failingTests = results.filter(r => !r.passed).map(failingTest);
+			entry.passed = entry.failingTests.length === 0;
+		}
+		entries.push(entry);
+		onExercise(entry);
+	}
+
+	const report = {
+		ok: false,
+		exercises: entries,
+		duplicateIds: duplicateIds(exercises),
+		...fixtureUsage(exercises, fixtureNames)
+	};
+	report.ok = entries.every(entry => entry.passed)
+		&& report.duplicateIds.length === 0
+		&& report.missingFixtures.length === 0
+		&& report.unusedFixtures.length === 0;
+	return report;
+}
+
+module.exports = { checkCatalogue, exerciseProblems };
@@ -0,0 +1,214 @@
+// lib/comparators.js
+// Output comparators for test cases. A test case picks one with its optional
+// `comparator` field, either a type name or an object with options:
+//
+//   "comparator": "unordered-lines"
+//   "comparator": { "type": "numeric", "tolerance": 0.01 }
+//
+// Every comparator receives CRLF-normalized text and returns
+// { passed, expected, actual } where expected/actual are the forms shown to
+// the student (e.g. trimmed for "trim", sorted for "unordered-lines", the raw
+// pattern for "regex"). compareOutput adds `diffable`: whether a line diff of
+// those forms points at what the comparator found different.
+// Specs are checked when exercises are loaded and saved (checkComparator); a
+// test with an invalid one fails with an `error` instead of failing the run.
+
+const DEFAULT_COMPARATOR = 'trim';
+const BOOLEAN_OPTIONS = ['ignoreCase', 'fullMatch', 'relative'];
+
+function stripTrailingNewlines(s) {
+	return s.replace(/\n+$/, '');
+}
+
+function applyCase(s, options) {
+	return options.ignoreCase ? s.toLowerCase() : s;
+}
+
+// Plain text comparators: normalize both sides the same way, then compare
+function textComparator(normalize) {
+	return (expected, actual, options) => {
+		const exp = normalize(expected, options);
+		const act = normalize(actual, options);
+		return {
+			passed: applyCase(exp, options) === applyCase(act, options),
+			expected: exp,
+			actual: act
+		};
+	};
+}
+
+function trimTrailingPerLine(s) {
+	return stripTrailingNewlines(s.split('\n').map(line => line.replace(/[ \t]+$/, '')).join('\n'));
+}
+
+// Lines sorted by how they compare, so with ignoreCase "B\na" and "A\nb" line up
+function sortedLines(s, options) {
+	return s.trim().split('\n')
+		.map(line => line.replace(/[ \t]+$/, ''))
+		.map(line => ({ line, key: applyCase(line, options) }))
+		.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+		.map(entry => entry.line)
+		.join('\n');
+}
+
+function regexFlags(options) {
+	const flags = options.flags || '';
+	return options.ignoreCase && !flags.includes('i') ? flags + 'i' : flags;
+}
+
+function regexComparator(expected, actual, options) {
+	const fullMatch = options.fullMatch !== false;
+	const source = fullMatch ? `^(?:${expected})$` : expected;
+	const re = new RegExp(source, regexFlags(options));
+	const act = stripTrailingNewlines(actual);
+	return { passed: re.test(act), expected, actual: act };
+}
+
+// Numbers are compared within `tolerance` (absolute, or relative when
+// `relative: true`); every other whitespace-separated token must match exactly.
+const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+function numericComparator(expected, actual, options) {
+	const tolerance = options.tolerance != null ? options.tolerance : 1e-6;
+	const exp = expected.trim();
+	const act = actual.trim();
+	const expTokens = exp.split(/\s+/);
+	const actTokens = act.split(/\s+/);
+
+	let passed = expTokens.length === actTokens.length;
+	for (let i = 0; passed && i < expTokens.length; i++) {
+		const e = expTokens[i];
+		const a = actTokens[i];
+		if (NUMBER_RE.test(e) && NUMBER_RE.test(a)) {
+			const diff = Math.abs(Number(e) - Number(a));
+			const allowed = options.relative ? tolerance * Math.abs(Number(e)) : tolerance;
+			passed = diff <= allowed;
+		} else {
+			passed = applyCase(e, options) === applyCase(a, options);
+		}
+	}
+	return { passed, expected: exp, actual: act };
+}
+
+const COMPARATORS = {
+	// Compare everything, including leading/trailing whitespace and newlines
+	'exact': textComparator(s => s),
+	// Ignore leading/trailing whitespace of the whole output (historic default)
+	'trim': textComparator(s => s.trim()),
+	// Ignore trailing whitespace on each line and trailing empty lines
+	'trim-trailing': textComparator(trimTrailingPerLine),
+	// Like "trim" but case-insensitive
+	'ignore-case': textComparator(s => s.trim()),
+	// `expectedOutput` is a regular expression (full match unless fullMatch: false)
+	'regex': regexComparator,
+	// Same lines in any order (trailing whitespace per line ignored)
+	'unordered-lines': textComparator(sortedLines),
+	// Numeric tokens compared with a tolerance
+	'numeric': numericComparator
+};
+
+// Turn a comparator spec into { type, options }. Throws on unknown types so
+// authoring mistakes surface instead of silently falling back.
+function resolveComparator(spec) {
+	if (spec === undefined || spec === null) {
+		return { type: DEFAULT_COMPARATOR, options: {} };
+	}
+	const type = typeof spec === 'string' ? spec : spec.type;
+	if (!COMPARATORS[type]) {
+		throw new Error(`Unknown comparator "${type}"`);
+	}
+	const options = typeof spec === 'object' ? { ...spec } : {};
+	delete options.type;
+	if (type === 'ignore-case') options.ignoreCase = true;
+	return { type, options };
+}
+
+// Problems with a comparator spec, as strings. pattern: the expected text it
+// compares against, compiled when the comparator is "regex".
+function checkComparator(spec, pattern) {
+	if (spec !== undefined && spec !== null && typeof spec !== 'string'
+		&& (typeof spec !== 'object' || Array.isArray(spec))) {
+		return ['must be a type name or an object with a type'];
+	}
+	let resolved;
+	try {
+		resolved = resolveComparator(spec);
+	} catch (err) {
+		return [err.message];
+	}
+	const { type, options } = resolved;
+	const problems = [];
+	for (const key of BOOLEAN_OPTIONS) {
+		if (options[key] !== undefined && typeof options[key] !== 'boolean') problems.push(`${key} must be true or false`);
+	}
+	if (options.tolerance !== undefined && !(Number.isFinite(options.tolerance) && options.tolerance >= 0)) {
+		problems.push('tolerance must be a number of at least 0');
+	}
+	if (type === 'regex') {
+		if (options.flags !== undefined && typeof options.flags !== 'string') {
+			problems.push('flags must be a string');
+		} else if (typeof pattern === 'string') {
+			try {
+				new RegExp(pattern, regexFlags(options));
+			} catch (err) {
+				problems.push(`invalid regex pattern: ${err.message}`);
+			}
+		}
+	}
+	return problems;
+}
+
+// Problems with the comparators of one test case (stdout, stderr and expected
+// file contents), as strings naming `where`
+function checkTestCaseComparators(tc, where) {
+	const problems = [];
+	const check = (spec, pattern, what) => {
+		for (const problem of checkComparator(spec, pattern)) problems.push(`${where} ${what}: ${problem}`);
+	};
+	check(tc.comparator, tc.expectedOutput, 'comparator');
+	check(tc.stderrComparator, tc.expectedStderr, 'stderrComparator');
+	if (Array.isArray(tc.expectedFiles)) {
+		tc.expectedFiles.forEach((file, i) => {
+			if (file && typeof file === 'object') check(file.comparator, file.content, `expectedFiles[${i}] comparator`);
+		});
+	}
+	return problems;
+}
+
+// Problems with the comparators of an exercise (reported at startup)
+function validateExerciseComparators(exercise) {
+	const problems = [];
+	(exercise.testCases || []).forEach((tc, i) => {
+		if (tc && typeof tc === 'object') problems.push(...checkTestCaseComparators(tc, `${exercise.id} test ${i + 1}`));
+	});
+	return problems;
+}
+
+// A line diff would flag a pattern, numbers within the tolerance or
+// differences in case, none of which fail the comparison
+function isDiffable(type, options) {
+	return type !== 'regex' && type !== 'numeric' && !options.ignoreCase;
+}
+
+// Compare with the comparator of `spec`. An invalid spec fails the comparison
+// with `error` set instead of throwing, so only the test that uses it fails.
+function compareOutput(expected, actual, spec) {
+	const problems = checkComparator(spec, expected);
+	if (problems.length > 0) {
+		const type = spec && typeof spec === 'object' ? spec.type : spec;
+		return { passed: false, expected, actual, comparator: type, diffable: false, error: `invalid comparator: ${problems.join('; ')}` };
+	}
+	const { type, options } = resolveComparator(spec);
+	const result = COMPARATORS[type](expected, actual, options);
+	return { ...result, comparator: type, diffable: isDiffable(type, options) };
+}
+
+module.exports = {
+	DEFAULT_COMPARATOR,
+	COMPARATOR_TYPES: Object.keys(COMPARATORS),
+	resolveComparator,
+	checkComparator,
+	checkTestCaseComparators,
+	validateExerciseComparators,
+	compareOutput
+};
@@ -0,0 +1,264 @@
+// lib/config.js
+// Server configuration: built-in defaults, overridden by a JSON config file
+// (config.json next to server.js, or the file named by BEX_CONFIG), overridden
+// by environment variables. Everything is validated once at startup; relative
+// paths are resolved against the server's directory.
+
+const fs = require('fs');
+const path = require('path');
+const { loadRunnerConfig } = require('./limits');
+const { EXECUTOR_NAMES } = require('./executors');
+const { SANDBOXES } = require('./local-executor');
+const { checkPolicy } = require('./reveal');
+
+const DEFAULTS = {
+	port: 3000,
+	exercisesPath: 'catalogue/exercises-internal.json',
+	fixturesDir: 'fixtures',
+	dataDir: 'data', // users, sessions, progress, submissions, statistics
+	tmpDirPrefix: '/srv/bexercises/tmp/bex-',
+	legacyStatisticsPath: 'statistics.json', // imported once into <dataDir>/statistics/
+	maxParallelTests: 4, // max concurrent containers across all submissions
+	allowRegistration: true,
+	authProvider: null, // extra login provider module (see lib/auth.js)
+	runner: {}, // image and limits, see lib/limits.js
+	executor: {
+		backend: 'docker', // docker, local or interpreter (see lib/executors.js)
+		sandbox: 'none' // local backend: none or bwrap
+	},
+	pool: {
+		size: null, // warm containers (see lib/container-pool.js); null: maxParallelTests, 0: off
+		maxJobs: 50 // jobs per container before it is replaced
+	},
+	terminal: {
+		enabled: true, // interactive shells in runner containers (see lib/terminal.js)
+		idleTimeoutMs: 5 * 60 * 1000, // closed after this long without input
+		maxSessionMs: 30 * 60 * 1000,
+		maxSessions: 10 // across all users; one per user
+	},
+	// When students may see model solutions; exercises can override it (see lib/reveal.js)
+	reveal: {
+		policy: 'after-pass', // after-pass, after-attempts, after-deadline or instructor-only
+		attempts: 5, // after-attempts
+		deadline: null // after-deadline, an ISO date
+	}
+};
+
+const PATH_KEYS = ['exercisesPath', 'fixturesDir', 'dataDir', 'tmpDirPrefix', 'legacyStatisticsPath', 'authProvider'];
+
+// [environment variable, config key (dotted), type]
+const ENV_OVERRIDES = [
+	['PORT', 'port', 'int'],
+	['BEX_EXERCISES', 'exercisesPath', 'string'],
+	['BEX_FIXTURES_DIR', 'fixturesDir', 'string'],
+	['BEX_DATA_DIR', 'dataDir', 'string'],
+	['BEX_TMP_DIR_PREFIX', 'tmpDirPrefix', 'string'],
+	['BEX_MAX_PARALLEL_TESTS', 'maxParallelTests', 'int'],
+	['BEX_ALLOW_REGISTRATION', 'allowRegistration', 'bool'],
+	['BEX_AUTH_PROVIDER', 'authProvider', 'string'],
+	['BEX_RUNNER_IMAGE', 'runner.image', 'string'],
+	['BEX_TIMEOUT_MS', 'runner.defaults.timeoutMs', 'int'],
+	['BEX_EXECUTOR', 'executor.backend', 'string'],
+	['BEX_LOCAL_SANDBOX', 'executor.sandbox', 'string'],
+	['BEX_POOL_SIZE', 'pool.size', 'int'],
+	['BEX_TERMINAL', 'terminal.enabled', 'bool'],
+	['BEX_REVEAL_POLICY', 'reveal.policy', 'string']
+];
+
+// Keys whose values never leave the server (GET /api/health)
+const SECRET_KEY_RE = /secret|password|token|apikey|api_key|credential/i;
+
+class ConfigError extends Error {
+	constructor(problems) {
+		super(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+		this.name = 'ConfigError';
+		this.problems = problems;
+	}
+}
+
+function setPath(obj, dotted, value) {
+	const keys = dotted.split('.');
+	let target = obj;
+	for (const key of keys.slice(0, -1)) {
+		if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+		target = target[key];
+	}
+	target[keys[keys.length - 1]] = value;
+}
+
+function parseEnvValue(name, raw, type, problems) {
+	if (type === 'int') {
+		if (!/^\d+$/.test(raw)) {
+			problems.push(`${name} must be a whole number`);
+			return undefined;
+		}
+		return Number(raw);
+	}
+	if (type === 'bool') {
+		if (!['true', 'false', '1', '0'].includes(raw)) {
+			problems.push(`${name} must be true or false`);
+			return undefined;
+		}
+		return raw === 'true' || raw === '1';
+	}
+	return raw;
+}
+
+function readConfigFile(filePath, required, problems) {
+	let txt;
+	try {
+		txt = fs.readFileSync(filePath, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT' && !required) return {};
+		problems.push(`cannot read ${filePath}: ${err.message}`);
+		return {};
+	}
+	try {
+		const parsed = JSON.parse(txt);
+		if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+			problems.push(`${filePath} must contain a JSON object`);
+			return {};
+		}
+		return parsed;
+	} catch (err) {
+		problems.push(`${filePath} is not valid JSON: ${err.message}`);
+		return {};
+	}
+}
+
+function validate(config, problems) {
+	for (const key of Object.keys(config)) {
+		if (!(key in DEFAULTS) && key !== 'configPath') problems.push(`unknown setting "${key}"`);
+	}
+	if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+		problems.push('port must be between 1 and 65535');
+	}
+	if (!Number.isInteger(config.maxParallelTests) || config.maxParallelTests < 1) {
+		problems.push('maxParallelTests must be a positive whole number');
+	}
+	if (typeof config.allowRegistration !== 'boolean') {
+		problems.push('allowRegistration must be true or false');
+	}
+	if (!fs.existsSync(config.exercisesPath)) {
+		problems.push(`exercisesPath ${config.exercisesPath} does not exist`);
+	}
+	if (!fs.existsSync(config.fixturesDir)) {
+		problems.push(`fixturesDir ${config.fixturesDir} does not exist`);
+	}
+	if (config.authProvider && !fs.existsSync(config.authProvider)) {
+		problems.push(`authProvider ${config.authProvider} does not exist`);
+	}
+	// mkdtemp() needs the directory part of the prefix to exist and be writable
+	const tmpParent = path.dirname(config.tmpDirPrefix);
+	try {
+		fs.accessSync(tmpParent, fs.constants.W_OK);
+	} catch (err) {
+		problems.push(`tmpDirPrefix: directory ${tmpParent} is not writable (${err.code || err.message}); set BEX_TMP_DIR_PREFIX`);
+	}
+	validateExecutor(config.executor, problems);
+	validatePool(config.pool, problems);
+	validateTerminal(config.terminal, problems);
+	problems.push(...checkPolicy(config.reveal, 'reveal'));
+	try {
+		config.runner = loadRunnerConfig(config.runner);
+	} catch (err) {
+		problems.push(...(err.problems || [err.message]));
+	}
+}
+
+function validateExecutor(executor, problems) {
+	if (!executor || typeof executor !== 'object' || Array.isArray(executor)) {
+		problems.push('executor must be an object');
+		return;
+	}
+	for (const key of Object.keys(executor)) {
+		if (!(key in DEFAULTS.executor)) problems.push(`unknown setting "executor.${key}"`);
+	}
+	if (!EXECUTOR_NAMES.includes(executor.backend)) {
+		problems.push(`executor.backend must be one of ${EXECUTOR_NAMES.join(', ')}`);
+	}
+	if (!SANDBOXES.includes(executor.sandbox)) {
+		problems.push(`executor.sandbox must be one of ${SANDBOXES.join(', ')}`);
+	}
+}
+
+function validatePool(pool, problems) {
+	if (!pool || typeof pool !== 'object' || Array.isArray(pool)) {
+		problems.push('pool must be an object');
+		return;
+	}
+	for (const key of Object.keys(pool)) {
+		if (!(key in DEFAULTS.pool)) problems.push(`unknown setting "pool.${key}"`);
+	}
+	if (pool.size !== null && (!Number.isInteger(pool.size) || pool.size < 0)) {
+		problems.push('pool.size must be a whole number (0 turns the pool off)');
+	}
+	if (!Number.isInteger(pool.maxJobs) || pool.maxJobs < 1) {
+		problems.push('pool.maxJobs must be a positive whole number');
+	}
+}
+
+function validateTerminal(terminal, problems) {
+	if (!terminal || typeof terminal !== 'object' || Array.isArray(terminal)) {
+		problems.push('terminal must be an object');
+		return;
+	}
+	for (const key of Object.keys(terminal)) {
+		if (!(key in DEFAULTS.terminal)) problems.push(`unknown setting "terminal.${key}"`);
+	}
+	if (typeof terminal.enabled !== 'boolean') {
+		problems.push('terminal.enabled must be true or false');
+	}
+	for (const key of ['idleTimeoutMs', 'maxSessionMs', 'maxSessions']) {
+		if (!Number.isInteger(terminal[key]) || terminal[key] < 1) {
+			problems.push(`terminal.${key} must be a positive whole number`);
+		}
+	}
+}
+
+// options: { baseDir, env = process.env }. Throws ConfigError listing every problem.
+function loadConfig({ baseDir, env = process.env }) {
+	const problems = [];
+	const configPath = env.BEX_CONFIG
+		? path.resolve(baseDir, env.BEX_CONFIG)
+		: path.join(baseDir, 'config.json');
+	const file = readConfigFile(configPath, !!env.BEX_CONFIG, problems);
+
+	const config = {
+		...DEFAULTS,
+		...file,
+		runner: { ...file.runner, defaults: { ...(file.runner && file.runner.defaults) } },
+		executor: { ...DEFAULTS.executor, ...file.executor },
+		pool: { ...DEFAULTS.pool, ...file.pool },
+		terminal: { ...DEFAULTS.terminal, ...file.terminal },
+		reveal: { ...DEFAULTS.reveal, ...file.reveal }
+	};
+	for (const [name, key, type] of ENV_OVERRIDES) {
+		if (env[name] === undefined || env[name] === '') continue;
+		const value = parseEnvValue(name, env[name], type, problems);
+		if (value !== undefined) setPath(config, key, value);
+	}
+	for (const key of PATH_KEYS) {
+		if (typeof config[key] === 'string') config[key] = path.resolve(baseDir, config[key]);
+	}
+	config.configPath = fs.existsSync(configPath) ? configPath : null;
+
+	if (config.pool.size === null) config.pool.size = config.maxParallelTests;
+
+	validate(config, problems);
+	if (problems.length > 0) throw new ConfigError(problems);
+	return config;
+}
+
+// Copy of the config with secret-looking values replaced
+function publicConfig(config) {
+	if (Array.isArray(config)) return config.map(publicConfig);
+	if (!config || typeof config !== 'object') return config;
+	const copy = {};
+	for (const [key, value] of Object.entries(config)) {
+		copy[key] = SECRET_KEY_RE.test(key) ? '[redacted]' : publicConfig(value);
+	}
+	return copy;
+}
+
+module.exports = { loadConfig, publicConfig, ConfigError, DEFAULTS, ENV_OVERRIDES };
@@ -0,0 +1,270 @@
+// lib/container-pool.js
+// Warm pool of runner containers, so a test case does not pay for a `docker run`.
+//
+// Every pooled container is started once, locked down like a cold run (no
+// network, the default limits, unprivileged runner user) plus a read-only root
+// filesystem, with a private host directory mounted at /home/runner. A job:
+//   1. moves the entries of its workspace into that directory,
+//   2. runs the script with `docker exec` as runner, in /home/runner,
+//   3. kills everything the script left running and wipes /tmp, /var/tmp and
+//      /dev/shm (reading the cgroup's OOM kill counter on the way),
+//   4. moves the entries back, so the caller sees its workspace as after a cold run.
+// A container is retired (docker rm -f) and replaced after maxJobs jobs or on any
+// anomaly: timeout, too much output, OOM kill, exhausted process limit, failed cleanup.
+//
+// Only runs with the pool's image and container-level limits (memory, cpus, pids)
+// fit; run() resolves null when no container is idle and the caller does a cold run.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { runDockerCommand, runDockerProcess } = require('./docker');
+const { PIDS_EXHAUSTED_RE } = require('./process');
+const { dockerLimitArgs } = require('./limits');
+
+const CONTAINER_WORKDIR = '/home/runner';
+const LABEL = 'bexercises.pool';
+const RETRY_START_MS = 30000; // after a container failed to start
+
+// PID 1 of a pooled container. Bash reaps the orphans a script leaves behind;
+// the cleanup's `kill -9 -1` (which spares PID 1) only restarts the sleep.
+const IDLE_COMMAND = 'while :; do sleep 3600 & wait $!; done';
+
+// Run as runner after every job; the marker tells a clean container from a dead one
+const CLEAN_MARKER = 'bex-pool-clean';
+const CLEANUP_COMMAND = [
+	'kill -9 -1 2>/dev/null',
+	'find /tmp /var/tmp /dev/shm -mindepth 1 -delete 2>/dev/null',
+	'cat /sys/fs/cgroup/memory.events /sys/fs/cgroup/memory/memory.oom_control 2>/dev/null',
+	`echo ${CLEAN_MARKER}`
+].join('; ');
+
+// Move every entry of one directory into another (same filesystem) and copy its mode
+async function moveEntries(from, to) {
+	const stat = await fs.stat(from);
+	await fs.chmod(to, stat.mode & 0o7777);
+	for (const entry of await fs.readdir(from)) {
+		await fs.rename(path.join(from, entry), path.join(to, entry));
+	}
+}
+
+// After a failed job: move back whatever can be moved, one entry at a time
+async function restoreEntries(from, to) {
+	for (const entry of await fs.readdir(from).catch(() => [])) {
+		await fs.rename(path.join(from, entry), path.join(to, entry)).catch(() => {});
+	}
+}
+
+class ContainerPool {
+	// options: { image, limits, size, maxJobs, tmpDirPrefix }
+	// limits are the runner defaults (lib/limits.js); size 0 disables the pool.
+	constructor({ image, limits, size, maxJobs, tmpDirPrefix }) {
+		this.image = image;
+		this.limits = limits;
+		this.size = size;
+		this.maxJobs = maxJobs;
+		this.tmpDirPrefix = tmpDirPrefix;
+		// Containers of this server, told apart from other servers on the same Docker host
+		this.label = `${LABEL}=${tmpDirPrefix}`;
+		this.idle = [];
+		this.busy = new Set();
+		this.starting = 0;
+		this.stopped = false;
+		this.retryTimer = null;
+		this.failedStarts = 0;
+		this.jobs = 0;
+		this.retired = 0;
+	}
+
+	// Remove what a previous run of this server left behind, then fill the pool
+	async start() {
+		if (this.size === 0) return;
+		const { code, stdout } = await runDockerCommand(['ps', '-aq', '--filter', `label=${this.label}`]);
+		const stale = code === 0 ? stdout.split('\n').filter(Boolean) : [];
+		if (stale.length > 0) await runDockerCommand(['rm', '-f', ...stale]);
+
+		const tmpParent = path.dirname(this.tmpDirPrefix);
+		const slotPrefix = `${path.basename(this.tmpDirPrefix)}pool-`;
+		for (const entry of await fs.readdir(tmpParent).catch(() => [])) {
+			if (entry.startsWith(slotPrefix)) {
+				await fs.rm(path.join(tmpParent, entry), { recursive: true, force: true }).catch(() => {});
+			}
+		}
+		this._fill();
+	}
+
+	// Whether a run ({ image, limits } from lib/limits.js) can use a pooled container
+	accepts(run) {
+		return this.size > 0
+			&& run.image === this.image
+			&& dockerLimitArgs(run.limits).join(' ') === dockerLimitArgs(this.limits).join(' ');
+	}
+
+	// Run a script in an idle container. job: { command, args, stdin, timeoutMs, outputBytes }
+	// where command is the bash -c command line and stdin chunks from testCaseStdin(). Resolves the same result as
+	// runProcess() (lib/process.js) plus oomKilled and pidsExhausted, or null if no container is idle.
+	async run(workdir, { command, args = [], stdin = [], timeoutMs, outputBytes }) {
+		const slot = this.idle.pop();
+		if (!slot) return null;
+		this.busy.add(slot);
+		this.jobs++;
+		slot.jobs++;
+
+		let healthy = false;
+		// Whether (some of) the workspace is in slot.dir, which retiring the slot deletes
+		let moved = false;
+		try {
+			moved = true;
+			await moveEntries(workdir, slot.dir);
+			const r = await runDockerProcess([
+				'exec',
+				'-i',
+				'-u', 'runner',
+				'-w', CONTAINER_WORKDIR,
+				slot.name,
+				'bash', '-c', command, '--', ...args
+			], {
+				stdin,
+				timeoutMs,
+				outputBytes,
+				stop: () => runDockerCommand(['rm', '-f', slot.name])
+			});
+
+			r.oomKilled = false;
+			r.pidsExhausted = false;
+			if (!r.error && !r.timedOut && !r.truncated) {
+				const oomKills = await this._cleanup(slot);
+				if (oomKills === null) {
+					// We cannot tell what happened to the script, but it is not the student's fault
+					r.error = 'runner container stopped unexpectedly';
+				} else {
+					r.oomKilled = oomKills > slot.oomKills;
+					r.pidsExhausted = !r.oomKilled && PIDS_EXHAUSTED_RE.test(r.stderr);
+					slot.oomKills = oomKills;
+					healthy = !r.oomKilled && !r.pidsExhausted;
+				}
+			}
+			if (!healthy) {
+				// Make sure nothing in the container still writes to the workspace
+				await runDockerCommand(['rm', '-f', slot.name]);
+			}
+			await moveEntries(slot.dir, workdir);
+			moved = false;
+			return r;
+		} finally {
+			if (moved) {
+				// A move or the docker CLI failed: stop the container from writing to the
+				// directory, then give the caller its files back before the slot is retired
+				healthy = false;
+				await runDockerCommand(['rm', '-f', slot.name]);
+				await restoreEntries(slot.dir, workdir);
+			}
+			this.busy.delete(slot);
+			if (healthy && slot.jobs < this.maxJobs && !this.stopped) {
+				this.idle.push(slot);
+			} else {
+				this._retire(slot);
+			}
+		}
+	}
+
+	// Kill leftover processes and wipe scratch dirs. Resolves the container's OOM
+	// kill count so far (0 if the cgroup does not report it), or null if the cleanup failed.
+	async _cleanup(slot) {
+		const { code, stdout } = await runDockerCommand(['exec', '-u', 'runner', slot.name, 'bash', '-c', CLEANUP_COMMAND]);
+		if (code !== 0 || !stdout.includes(CLEAN_MARKER)) return null;
+		const match = stdout.match(/^oom_kill (\d+)$/m);
+		return match ? Number(match[1]) : 0;
+	}
+
+	_fill() {
+		while (!this.stopped && this.idle.length + this.busy.size + this.starting < this.size) {
+			this._startContainer();
+		}
+	}
+
+	async _startContainer() {
+		this.starting++;
+		const name = `bex-pool-${uuidv4()}`;
+		let dir = null;
+		try {
+			dir = await fs.mkdtemp(`${this.tmpDirPrefix}pool-`);
+			// Same permissions as a workspace; moveEntries() copies the job's own mode over it
+			await fs.chmod(dir, 0o755);
+			const { code, stderr } = await runDockerCommand([
+				'run', '-d',
+				'--name', name,
+				'--label', this.label,
+				'--network', 'none',
+				...dockerLimitArgs(this.limits),
+				'--read-only',
+				'--tmpfs', '/tmp:rw,exec,nosuid,size=64m',
+				'--tmpfs', '/var/tmp:rw,exec,nosuid,size=64m',
+				'-v', `${dir}:${CONTAINER_WORKDIR}:rw`,
+				'-w', CONTAINER_WORKDIR,
+				'--entrypoint', '/bin/bash',
+				this.image,
+				'-c', IDLE_COMMAND
+			]);
+			if (code !== 0) throw new Error(stderr.trim() || `docker run exited with ${code}`);
+
+			this.failedStarts = 0;
+			const slot = { name, dir, jobs: 0, oomKills: 0 };
+			if (this.stopped) {
+				this._retire(slot);
+			} else {
+				this.idle.push(slot);
+			}
+		} catch (err) {
+			// Log once per streak: without Docker every retry would fail the same way
+			if (this.failedStarts++ === 0) {
+				console.error(`Container pool: failed to start a container, using cold runs: ${err.message}`);
+			}
+			await runDockerCommand(['rm', '-f', name]);
+			if (dir) await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+			if (!this.stopped && !this.retryTimer) {
+				this.retryTimer = setTimeout(() => {
+					this.retryTimer = null;
+					this._fill();
+				}, RETRY_START_MS);
+				this.retryTimer.unref();
+			}
+		} finally {
+			this.starting--;
+		}
+	}
+
+	// Remove a container and its directory, and start a replacement
+	async _retire(slot) {
+		this.retired++;
+		await runDockerCommand(['rm', '-f', slot.name]);
+		await fs.rm(slot.dir, { recursive: true, force: true }).catch(() => {});
+		if (this.failedStarts === 0) this._fill();
+	}
+
+	// Remove every container; the pool does not start new ones afterwards
+	async shutdown() {
+		this.stopped = true;
+		clearTimeout(this.retryTimer);
+		const slots = [...this.idle, ...this.busy];
+		this.idle = [];
+		await Promise.all(slots.map(async (slot) => {
+			await runDockerCommand(['rm', '-f', slot.name]);
+			await fs.rm(slot.dir, { recursive: true, force: true }).catch(() => {});
+		}));
+	}
+
+	stats() {
+		return {
+			size: this.size,
+			idle: this.idle.length,
+			busy: this.busy.size,
+			starting: this.starting,
+			jobs: this.jobs,
+			retired: this.retired,
+			maxJobs: this.maxJobs
+		};
+	}
+}
+
+module.exports = { ContainerPool };
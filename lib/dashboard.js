@@ -0,0 +1,139 @@
+// lib/dashboard.js
+// Class-wide statistics for instructors, computed from submission records
+// (see lib/submissions.js). Pure functions: the route gathers the records.
+
+// Gaps between two submissions longer than this are not counted as time spent
+const SESSION_GAP_MS = 30 * 60 * 1000;
+const DEFAULT_STUCK_AFTER = 5;
+
+// Test number that failed most often across the given submissions (null if none)
+function mostCommonFailingTest(submissions) {
+	const counts = {};
+	for (const sub of submissions) {
+		for (const result of sub.results || []) {
+			if (!result.passed) counts[result.testNumber] = (counts[result.testNumber] || 0) + 1;
+		}
+	}
+	let best = null;
+	for (const [testNumber, count] of Object.entries(counts)) {
+		if (best === null || count > best.count) best = { testNumber: Number(testNumber), count };
+	}
+	return best;
+}
+
+// Approximate working time: sum of gaps between consecutive submissions,
+// ignoring breaks longer than SESSION_GAP_MS
+function timeSpentMs(submissions) {
+	let total = 0;
+	for (let i = 1; i < submissions.length; i++) {
+		const gap = Date.parse(submissions[i].createdAt) - Date.parse(submissions[i - 1].createdAt);
+		if (gap > 0 && gap <= SESSION_GAP_MS) total += gap;
+	}
+	return total;
+}
+
+// One row per (exercise, student) from that student's submissions, oldest first
+function studentRow(exercise, username, displayName, submissions, stuckAfter) {
+	const firstPassIndex = submissions.findIndex(s => s.passed);
+	const failedAttempts = submissions.filter(s => !s.passed).length;
+	const failing = mostCommonFailingTest(submissions);
+	return {
+		exerciseId: exercise.id,
+		exerciseTitle: exercise.title,
+		chapter: exercise.chapter || 'Uncategorized',
+		username,
+		displayName: displayName || username,
+		attempts: submissions.length,
+		failedAttempts,
+		passed: firstPassIndex !== -1,
+		attemptsUntilFirstPass: firstPassIndex === -1 ? null : firstPassIndex + 1,
+		mostCommonFailingTest: failing ? failing.testNumber : null,
+		timeSpentMinutes: Math.round(timeSpentMs(submissions) / 60000),
+		firstAttemptAt: submissions[0].createdAt,
+		lastAttemptAt: submissions[submissions.length - 1].createdAt,
+		stuck: firstPassIndex === -1 && failedAttempts >= stuckAfter
+	};
+}
+
+// exercises: catalogue entries; submissionsByUser: { username: { exerciseId: [records] } }
+// filters: { chapter?, from?, to? (Date or ISO string), stuckAfter? }
+function buildDashboard(exercises, submissionsByUser, displayNames = {}, filters = {}) {
+	const from = filters.from ? Date.parse(filters.from) : null;
+	const to = filters.to ? Date.parse(filters.to) : null;
+	const stuckAfter = filters.stuckAfter > 0 ? filters.stuckAfter : DEFAULT_STUCK_AFTER;
+	const inRange = sub => {
+		const t = Date.parse(sub.createdAt);
+		return (from === null || t >= from) && (to === null || t <= to);
+	};
+
+	const selected = exercises.filter(ex => !filters.chapter || (ex.chapter || 'Uncategorized') === filters.chapter);
+	const rows = [];
+	const summaries = [];
+
+	for (const exercise of selected) {
+		const exerciseRows = [];
+		for (const [username, byExercise] of Object.entries(submissionsByUser)) {
+			const submissions = (byExercise[exercise.id] || [])
+				.filter(inRange)
+				.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+			if (submissions.length === 0) continue;
+			exerciseRows.push(studentRow(exercise, username, displayNames[username], submissions, stuckAfter));
+		}
+		exerciseRows.sort((a, b) => a.username.localeCompare(b.username));
+		rows.push(...exerciseRows);
+
+		const passedRows = exerciseRows.filter(r => r.passed);
+		const allSubmissions = Object.values(submissionsByUser)
+			.flatMap(byExercise => (byExercise[exercise.id] || []).filter(inRange));
+		const failing = mostCommonFailingTest(allSubmissions);
+		summaries.push({
+			exerciseId: exercise.id,
+			exerciseTitle: exercise.title,
+			chapter: exercise.chapter || 'Uncategorized',
+			order: exercise.order,
+			students: exerciseRows.length,
+			studentsPassed: passedRows.length,
+			totalAttempts: allSubmissions.length,
+			avgAttemptsUntilFirstPass: passedRows.length > 0
+				? Number((passedRows.reduce((sum, r) => sum + r.attemptsUntilFirstPass, 0) / passedRows.length).toFixed(1))
+				: null,
+			mostCommonFailingTest: failing ? failing.testNumber : null,
+			avgTimeSpentMinutes: exerciseRows.length > 0
+				? Math.round(exerciseRows.reduce((sum, r) => sum + r.timeSpentMinutes, 0) / exerciseRows.length)
+				: 0,
+			stuckStudents: exerciseRows.filter(r => r.stuck).map(r => r.username)
+		});
+	}
+
+	return { filters: { chapter: filters.chapter || null, from: filters.from || null, to: filters.to || null, stuckAfter }, exercises: summaries, students: rows };
+}
+
+const CSV_COLUMNS = [
+	'exerciseId', 'exerciseTitle', 'chapter', 'username', 'displayName', 'attempts', 'failedAttempts',
+	'passed', 'attemptsUntilFirstPass', 'mostCommonFailingTest', 'timeSpentMinutes',
+	'firstAttemptAt', 'lastAttemptAt', 'stuck'
+];
+
+// Text a spreadsheet would run as a formula (e.g. a display name "=HYPERLINK(...)")
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+	if (value === null || value === undefined) return '';
+	const s = String(value);
+	// Strings only: numbers are ours, and a negative one must stay a number
+	if (typeof value === 'string' && FORMULA_START.test(s)) {
+		return `"'${s.replace(/"/g, '""')}"`;
+	}
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Per-student rows as CSV (one line per exercise/student pair)
+function toCsv(rows) {
+	const lines = [CSV_COLUMNS.join(',')];
+	for (const row of rows) {
+		lines.push(CSV_COLUMNS.map(col => csvField(row[col])).join(','));
+	}
+	return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { buildDashboard, toCsv, DEFAULT_STUCK_AFTER };
@@ -0,0 +1,108 @@
+// lib/docker-executor.js
+// The "docker" backend (see lib/executors.js): each test case runs in a warm
+// pooled container (lib/container-pool.js) when one is idle and fits, otherwise
+// in a fresh `docker run` container. Production default.
+
+const { v4: uuidv4 } = require('uuid');
+const { ContainerPool } = require('./container-pool');
+const { runDockerCommand, inspectContainer, runDockerProcess } = require('./docker');
+const { PIDS_EXHAUSTED_RE, SCRIPT_COMMAND } = require('./process');
+const { dockerLimitArgs } = require('./limits');
+
+const CONTAINER_WORKDIR = '/home/runner';
+
+class DockerExecutor {
+	// options: { runnerConfig, pool: { size, maxJobs }, tmpDirPrefix }
+	constructor({ runnerConfig, pool, tmpDirPrefix }) {
+		this.name = 'docker';
+		this.runnerConfig = runnerConfig;
+		// Warm containers with the default image and limits
+		this.pool = new ContainerPool({
+			image: runnerConfig.image,
+			limits: runnerConfig.defaults,
+			size: pool.size,
+			maxJobs: pool.maxJobs,
+			tmpDirPrefix
+		});
+	}
+
+	start() {
+		return this.pool.start();
+	}
+
+	shutdown() {
+		return this.pool.shutdown();
+	}
+
+	// job: { args, stdin, run: { image, limits } (lib/limits.js) }
+	async run(workdir, { args = [], stdin = [], run }) {
+		const job = {
+			command: SCRIPT_COMMAND,
+			args,
+			stdin,
+			timeoutMs: run.limits.timeoutMs,
+			outputBytes: run.limits.outputBytes
+		};
+		return (this.pool.accepts(run) && await this.pool.run(workdir, job))
+			|| this._runInNewContainer(workdir, job, run);
+	}
+
+	// Cold run: a fresh `docker run` for this one test case
+	async _runInNewContainer(workdir, job, { image, limits }) {
+		// Named (and not --rm) so we can inspect why it stopped before removing it
+		const containerName = `bex-${uuidv4()}`;
+		const dockerArgs = [
+			'run',
+			'-i', // stdin comes through the client's stdin pipe
+			'--name', containerName,
+			'--network', 'none',
+			...dockerLimitArgs(limits),
+			'-v', `${workdir}:${CONTAINER_WORKDIR}:rw`, // Mount entire workdir with write access for output files
+			'-w', CONTAINER_WORKDIR,
+			'--entrypoint', '/bin/bash',
+			image,
+			'-c',
+			job.command,
+			'--',
+			...job.args
+		];
+
+		const r = await runDockerProcess(dockerArgs, {
+			stdin: job.stdin,
+			timeoutMs: job.timeoutMs,
+			outputBytes: job.outputBytes,
+			stop: () => runDockerCommand(['kill', containerName])
+		});
+
+		r.oomKilled = false;
+		r.pidsExhausted = false;
+		if (!r.error) {
+			const state = await inspectContainer(containerName);
+			r.oomKilled = !!(state && state.OOMKilled);
+			r.pidsExhausted = !r.oomKilled && PIDS_EXHAUSTED_RE.test(r.stderr);
+		}
+		await runDockerCommand(['rm', '-f', containerName]);
+		return r;
+	}
+
+	// Docker availability, runner image presence and the pool. ok when tests can run.
+	async health() {
+		const images = [this.runnerConfig.image, ...this.runnerConfig.allowedImages];
+		const version = await runDockerCommand(['version', '--format', '{{.Server.Version}}']);
+		const docker = version.code === 0
+			? { available: true, version: version.stdout.trim() || null }
+			: { available: false, version: null };
+		const runnerImages = await Promise.all(images.map(async (image) => ({
+			image,
+			present: docker.available && (await runDockerCommand(['image', 'inspect', '--format', '{{.Id}}', image])).code === 0
+		})));
+		return {
+			ok: docker.available && runnerImages[0].present,
+			docker,
+			runnerImages,
+			pool: this.pool.stats()
+		};
+	}
+}
+
+module.exports = { DockerExecutor };
@@ -0,0 +1,55 @@
+// lib/docker.js
+// Thin helpers around the docker CLI, shared by cold runs (lib/docker-executor.js)
+// and the warm container pool (lib/container-pool.js).
+
+const { spawn } = require('child_process');
+const { runProcess } = require('./process');
+
+const DOCKER_CLI_TIMEOUT_MS = 10000;
+
+// Run a short docker CLI command (inspect, kill, rm, exec of a helper).
+// Resolves { code, stdout, stderr }; code is null if docker could not be run. Never rejects.
+function runDockerCommand(args) {
+	return new Promise((resolve) => {
+		const proc = spawn('docker', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+		let stdout = '';
+		let stderr = '';
+		const killTimer = setTimeout(() => {
+			try { proc.kill('SIGKILL'); } catch (e) { /* ignore */ }
+		}, DOCKER_CLI_TIMEOUT_MS);
+		proc.stdout.on('data', (d) => { stdout += d.toString(); });
+		proc.stderr.on('data', (d) => { stderr += d.toString(); });
+		proc.on('error', () => {
+			clearTimeout(killTimer);
+			resolve({ code: null, stdout, stderr });
+		});
+		proc.on('close', (code) => {
+			clearTimeout(killTimer);
+			resolve({ code, stdout, stderr });
+		});
+	});
+}
+
+// State of a stopped container ({ OOMKilled, ExitCode, ... }), or null if unknown
+async function inspectContainer(name) {
+	const { code, stdout } = await runDockerCommand(['inspect', '--format', '{{json .State}}', name]);
+	if (code !== 0) return null;
+	try {
+		return JSON.parse(stdout);
+	} catch (e) {
+		return null;
+	}
+}
+
+// Run a docker command that executes a student's script (`docker run` or `docker exec`).
+// Same options and result as runProcess() (lib/process.js); `stop` must stop the
+// container: killing the docker client alone would leave the script running.
+function runDockerProcess(args, options) {
+	return runProcess('docker', args, options);
+}
+
+module.exports = {
+	runDockerCommand,
+	inspectContainer,
+	runDockerProcess
+};
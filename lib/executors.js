@@ -0,0 +1,75 @@
+// lib/executors.js
+// Execution backends. Every executor has the same interface:
+//   name
+//   start() / shutdown()         - acquire / release resources (e.g. pooled containers)
+//   run(workdir, job)            - run <workdir>/script.sh for one test case;
+//                                  job: { args, stdin, run: { image, limits } (lib/limits.js) },
+//                                  stdin as chunks from testCaseStdin() (lib/process.js)
+//                                  resolves { stdout, stderr, exitCode, timedOut, oomKilled,
+//                                  pidsExhausted, truncated, truncatedStreams, outputLimitBytes, error }
+//   health()                     - resolves { ok, ...details } for GET /api/health
+//
+// Backends:
+//   docker      - containers, warm pool + cold runs (lib/docker-executor.js); the default
+//   local       - plain subprocess with ulimits, optionally bubblewrap (lib/local-executor.js)
+//   interpreter - the JavaScript BashInterpreter (lib/interpreter-executor.js)
+
+const path = require('path');
+const { DockerExecutor } = require('./docker-executor');
+const { LocalExecutor } = require('./local-executor');
+const { InterpreterExecutor } = require('./interpreter-executor');
+
+const EXECUTOR_NAMES = ['docker', 'local', 'interpreter'];
+
+// config: the server config (lib/config.js)
+function createExecutor(name, config) {
+	switch (name) {
+		case 'docker':
+			return new DockerExecutor({
+				runnerConfig: config.runner,
+				pool: config.pool,
+				tmpDirPrefix: config.tmpDirPrefix
+			});
+		case 'local':
+			return new LocalExecutor({
+				sandbox: config.executor.sandbox,
+				// Other workspaces, user data, the catalogue (solutions and hidden
+				// test cases) and the server config
+				hiddenPaths: [
+					path.dirname(config.tmpDirPrefix),
+					config.dataDir,
+					path.dirname(config.exercisesPath),
+					config.configPath
+				].filter(Boolean)
+			});
+		case 'interpreter':
+			return new InterpreterExecutor();
+		default:
+			throw new Error(`unknown executor "${name}"`);
+	}
+}
+
+// Creates executors on first use and keeps them; the configured default is started
+// right away, others when an admin first asks for them.
+class Executors {
+	constructor(config) {
+		this.config = config;
+		this.instances = new Map();
+		this.defaultName = config.executor.backend;
+	}
+
+	get(name = this.defaultName) {
+		if (!this.instances.has(name)) {
+			const executor = createExecutor(name, this.config);
+			this.instances.set(name, executor);
+			executor.start().catch((err) => console.error(`Failed to start the ${name} executor:`, err.message));
+		}
+		return this.instances.get(name);
+	}
+
+	shutdown() {
+		return Promise.all([...this.instances.values()].map(executor => executor.shutdown()));
+	}
+}
+
+module.exports = { Executors, createExecutor, EXECUTOR_NAMES };
@@ -0,0 +1,206 @@
+// lib/exercise-store.js
+// The exercises (exercises-internal.json) for the authoring API. The file is
+// re-read on every call, so hand edits still apply without a restart; writes
+// are serialized and go to a temp file that is renamed over the original.
+// Ids cannot change once created: the submission history is keyed by them.
+// Replacing or removing an exercise can require the version it was read at
+// (exerciseVersion, sent as ETag / If-Match), so a concurrent edit is not lost.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { checkTestCaseComparators } = require('./comparators');
+
+const ID_RE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_MODE = 0o777;
+
+function statusError(message, status) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+// Version of an exercise: a hash of its JSON, which changes with every edit
+function exerciseVersion(exercise) {
+	return crypto.createHash('sha1').update(JSON.stringify(exercise)).digest('hex').slice(0, 16);
+}
+
+// 409 unless `exercise` is still at `version` (any version when not given)
+function checkVersion(exercise, version) {
+	if (version && exerciseVersion(exercise) !== version) {
+		throw statusError('the exercise was changed since it was loaded; reload it and try again', 409);
+	}
+}
+
+function isObject(value) {
+	return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringList(value) {
+	return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isMode(value) {
+	return Number.isInteger(value) && value >= 0 && value <= MAX_MODE;
+}
+
+const EXPECTED_FILE_KEYS = ['path', 'content', 'comparator', 'mode', 'exists'];
+
+// Problems with one expectedFiles entry that has a path (its comparator is
+// checked with the test case's others)
+function checkExpectedFile(file, where) {
+	const problems = [];
+	for (const key of Object.keys(file)) {
+		if (!EXPECTED_FILE_KEYS.includes(key)) problems.push(`${where} has an unknown setting "${key}"`);
+	}
+	if (file.content !== undefined && typeof file.content !== 'string') problems.push(`${where} content must be a string`);
+	if (file.mode !== undefined && !isMode(file.mode)) problems.push(`${where} mode must be a mode from 0 to 511 (0o777)`);
+	if (file.exists !== undefined && typeof file.exists !== 'boolean') problems.push(`${where} exists must be true or false`);
+	return problems;
+}
+
+// Problems with one test case, as strings; fixtureNames: the files in fixtures/
+// (null skips checking that the fixtures exist)
+function checkTestCase(tc, where, fixtureNames) {
+	if (!isObject(tc)) return [`${where} must be an object`];
+	const problems = [];
+	if (tc.arguments !== undefined && !isStringList(tc.arguments)) problems.push(`${where} arguments must be a list of strings`);
+	if (tc.input !== undefined && !isStringList(tc.input)) problems.push(`${where} input must be a list of strings`);
+	if (tc.inputDelayMs !== undefined && !(Number.isInteger(tc.inputDelayMs) && tc.inputDelayMs >= 0)) {
+		problems.push(`${where} inputDelayMs must be a whole number of milliseconds`);
+	}
+	for (const key of ['stdin', 'stdinBase64', 'expectedOutput', 'expectedStderr']) {
+		if (tc[key] !== undefined && typeof tc[key] !== 'string') problems.push(`${where} ${key} must be a string`);
+	}
+	if (tc.expectedExitCode !== undefined && tc.expectedExitCode !== null
+		&& !(Number.isInteger(tc.expectedExitCode) && tc.expectedExitCode >= 0 && tc.expectedExitCode <= 255)) {
+		problems.push(`${where} expectedExitCode must be a whole number from 0 to 255`);
+	}
+	problems.push(...checkTestCaseComparators(tc, where));
+	if (tc.expectedFiles !== undefined) {
+		if (!Array.isArray(tc.expectedFiles) || !tc.expectedFiles.every(file => isObject(file) && typeof file.path === 'string' && file.path !== '')) {
+			problems.push(`${where} expectedFiles must be a list of objects with a path`);
+		} else {
+			tc.expectedFiles.forEach((file, i) => problems.push(...checkExpectedFile(file, `${where} expectedFiles[${i}]`)));
+		}
+	}
+	if (tc.sharedWorkspace !== undefined && typeof tc.sharedWorkspace !== 'boolean') {
+		problems.push(`${where} sharedWorkspace must be true or false`);
+	}
+
+	const fixtures = tc.fixtures === undefined ? [] : tc.fixtures;
+	if (!isStringList(fixtures)) {
+		problems.push(`${where} fixtures must be a list of file names`);
+	} else if (fixtureNames) {
+		for (const name of fixtures) {
+			if (!fixtureNames.includes(name)) problems.push(`${where} uses fixture "${name}", which is not in fixtures/`);
+		}
+	}
+	if (tc.fixturePermissions !== undefined) {
+		if (!isObject(tc.fixturePermissions)) {
+			problems.push(`${where} fixturePermissions must be an object`);
+		} else {
+			for (const [name, mode] of Object.entries(tc.fixturePermissions)) {
+				if (!Array.isArray(fixtures) || !fixtures.includes(name)) problems.push(`${where} sets permissions for "${name}", which is not one of its fixtures`);
+				if (!isMode(mode)) problems.push(`${where} permissions for "${name}" must be a mode from 0 to 511 (0o777)`);
+			}
+		}
+	}
+	return problems;
+}
+
+// Problems with the shape of an exercise, as strings (limits, reveal policy and
+// hints are checked by lib/limits.js and lib/reveal.js); fixtureNames as for checkTestCase
+function checkExercise(exercise, fixtureNames) {
+	if (!isObject(exercise)) return ['the exercise must be an object'];
+	const where = typeof exercise.id === 'string' && exercise.id ? exercise.id : 'exercise';
+	const problems = [];
+	if (typeof exercise.id !== 'string' || !ID_RE.test(exercise.id)) {
+		problems.push(`${where} id must be kebab-case (lowercase letters, digits and dashes)`);
+	}
+	for (const key of ['title', 'description', 'solution']) {
+		if (typeof exercise[key] !== 'string' || exercise[key].trim() === '') problems.push(`${where} ${key} is required`);
+	}
+	if (exercise.chapter !== undefined && typeof exercise.chapter !== 'string') problems.push(`${where} chapter must be a string`);
+	if (exercise.order !== undefined && !Number.isFinite(exercise.order)) problems.push(`${where} order must be a number`);
+	if (!Array.isArray(exercise.testCases) || exercise.testCases.length === 0) {
+		problems.push(`${where} needs at least one test case`);
+	} else {
+		exercise.testCases.forEach((tc, i) => problems.push(...checkTestCase(tc, `${where} test ${i + 1}`, fixtureNames)));
+	}
+	return problems;
+}
+
+class ExerciseStore {
+	// options: { filePath: exercises-internal.json, fixturesDir }
+	constructor({ filePath, fixturesDir }) {
+		this.filePath = filePath;
+		this.fixturesDir = fixturesDir;
+		this.queue = Promise.resolve();
+	}
+
+	async all() {
+		const txt = await fs.readFile(this.filePath, 'utf8');
+		return JSON.parse(txt);
+	}
+
+	async get(id) {
+		return (await this.all()).find(ex => ex.id === id) || null;
+	}
+
+	// Add an exercise; 409 when the id is taken
+	create(exercise) {
+		return this._update((all) => {
+			if (all.some(ex => ex.id === exercise.id)) throw statusError(`an exercise with id "${exercise.id}" already exists`, 409);
+			all.push(exercise);
+			return exercise;
+		});
+	}
+
+	// Replace an exercise; 404 when it does not exist, 409 when it is no longer
+	// at `version` (see exerciseVersion)
+	replace(id, exercise, { version = null } = {}) {
+		return this._update((all) => {
+			const index = all.findIndex(ex => ex.id === id);
+			if (index === -1) throw statusError('exercise not found', 404);
+			checkVersion(all[index], version);
+			all[index] = exercise;
+			return exercise;
+		});
+	}
+
+	// Remove an exercise; 404 and 409 as for replace
+	remove(id, { version = null } = {}) {
+		return this._update((all) => {
+			const index = all.findIndex(ex => ex.id === id);
+			if (index === -1) throw statusError('exercise not found', 404);
+			checkVersion(all[index], version);
+			return all.splice(index, 1)[0];
+		});
+	}
+
+	// Names of the files in the fixtures directory (its README.md aside)
+	async fixtures() {
+		const entries = await fs.readdir(this.fixturesDir, { withFileTypes: true });
+		return entries
+			.filter(entry => entry.isFile() && entry.name !== 'README.md')
+			.map(entry => entry.name)
+			.sort();
+	}
+
+	// Read, apply `mutator(exercises)` and write back, behind every earlier update.
+	// Resolves with the mutator's return value.
+	_update(mutator) {
+		const result = this.queue.then(async () => {
+			const all = await this.all();
+			const value = mutator(all);
+			const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+			await fs.writeFile(tmpPath, JSON.stringify(all, null, 2), 'utf8');
+			await fs.rename(tmpPath, this.filePath);
+			return value;
+		});
+		this.queue = result.catch(() => {});
+		return result;
+	}
+}
+
+module.exports = { ExerciseStore, checkExercise, checkTestCase, exerciseVersion };
@@ -0,0 +1,101 @@
+// lib/interpreter-executor.js
+// The "interpreter" backend (see lib/executors.js): runs the script with the
+// pure JavaScript BashInterpreter from bash-interpreter.js, for instant feedback
+// without any process or container. It covers the constructs the exercises use,
+// not all of bash, and works on a built-in mock filesystem: fixtures and files
+// the script writes are not on disk, so expectedFiles checks fail.
+//
+// Each run gets its own worker thread (lib/interpreter-worker.js), which keeps the
+// interpreter's debug logging out of the server log and lets a runaway script be
+// terminated at the timeout.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { SCRIPT_NAME, truncationInfo } = require('./process');
+
+const WORKER_PATH = path.join(__dirname, 'interpreter-worker.js');
+
+// The interpreter reads input as lines; a final newline does not start another one
+function stdinLines(chunks) {
+	const text = Buffer.concat(chunks.map(chunk => chunk.data)).toString('utf8');
+	if (text === '') return [];
+	return text.replace(/\n$/, '').split('\n');
+}
+
+// First maxBytes of a string (by UTF-8 bytes) and whether it was cut
+function capOutput(text, maxBytes) {
+	const buf = Buffer.from(text, 'utf8');
+	if (buf.length <= maxBytes) return { text, truncated: false };
+	return { text: buf.subarray(0, maxBytes).toString('utf8'), truncated: true };
+}
+
+class InterpreterExecutor {
+	constructor() {
+		this.name = 'interpreter';
+	}
+
+	start() {
+		return Promise.resolve();
+	}
+
+	shutdown() {
+		return Promise.resolve();
+	}
+
+	// job: { args, stdin, run: { image, limits } (lib/limits.js) }; only timeoutMs and
+	// outputBytes apply, and stdin is handed over as lines (input delays do not matter here)
+	async run(workdir, { args = [], stdin = [], run }) {
+		const { limits } = run;
+		const script = await fs.readFile(path.join(workdir, SCRIPT_NAME), 'utf8');
+		const inputs = stdinLines(stdin);
+
+		const outcome = await new Promise((resolve) => {
+			const worker = new Worker(WORKER_PATH, {
+				workerData: { script, args, inputs },
+				stdout: true,
+				stderr: true
+			});
+			// Discard the interpreter's console output
+			worker.stdout.resume();
+			worker.stderr.resume();
+
+			const killTimer = setTimeout(() => {
+				worker.terminate();
+				resolve({ timedOut: true });
+			}, limits.timeoutMs);
+			worker.on('message', (result) => {
+				clearTimeout(killTimer);
+				resolve({ result });
+			});
+			worker.on('error', (err) => {
+				clearTimeout(killTimer);
+				resolve({ error: err.message });
+			});
+			worker.on('exit', () => {
+				clearTimeout(killTimer);
+				resolve({ error: 'the interpreter stopped without a result' });
+			});
+		});
+
+		const result = outcome.result || { output: '', error: '', exitCode: null };
+		const stdout = capOutput(result.output || '', limits.outputBytes);
+		const stderr = capOutput(result.error || '', limits.outputBytes);
+		return {
+			stdout: stdout.text,
+			stderr: stderr.text,
+			exitCode: outcome.timedOut ? -1 : result.exitCode,
+			timedOut: !!outcome.timedOut,
+			oomKilled: false,
+			pidsExhausted: false,
+			...truncationInfo(stdout.truncated, stderr.truncated, limits.outputBytes),
+			error: outcome.error || null
+		};
+	}
+
+	async health() {
+		return { ok: true };
+	}
+}
+
+module.exports = { InterpreterExecutor };
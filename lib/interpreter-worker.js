@@ -0,0 +1,12 @@
+// lib/interpreter-worker.js
+// Worker thread for lib/interpreter-executor.js: runs one script with the
+// BashInterpreter and posts back { output, error, exitCode }.
+
+const { parentPort, workerData } = require('worker_threads');
+const { BashRunner } = require('../bash-interpreter');
+
+const { script, args, inputs } = workerData;
+
+new BashRunner().executeScript(script, args, inputs)
+	.then((result) => parentPort.postMessage(result))
+	.catch((err) => parentPort.postMessage({ output: '', error: `${err.message}\n`, exitCode: 1 }));
@@ -0,0 +1,57 @@
+// lib/job-queue.js
+// Bounded FIFO job queue shared by every submission on this server.
+// At most `concurrency` jobs run at the same time; the others wait in
+// arrival order. Jobs carry a tag (the submission id) so callers can ask
+// where a submission currently sits in the queue.
+
+class JobQueue {
+	constructor(concurrency = 1) {
+		this.concurrency = Math.max(1, Number(concurrency) || 1);
+		this.active = 0;
+		this.waiting = [];
+	}
+
+	// Queue `task` (a function returning a promise). Resolves/rejects with the task's result.
+	push(task, tag = null) {
+		return new Promise((resolve, reject) => {
+			this.waiting.push({ task, tag, resolve, reject });
+			this._drain();
+		});
+	}
+
+	// 1-based position of the first waiting job with this tag, or 0 when
+	// none of its jobs are waiting (all running or finished).
+	positionOf(tag) {
+		const idx = this.waiting.findIndex(job => job.tag === tag);
+		return idx === -1 ? 0 : idx + 1;
+	}
+
+	// Number of jobs with this tag that are still waiting
+	pendingFor(tag) {
+		return this.waiting.filter(job => job.tag === tag).length;
+	}
+
+	stats() {
+		return {
+			concurrency: this.concurrency,
+			active: this.active,
+			waiting: this.waiting.length
+		};
+	}
+
+	_drain() {
+		while (this.active < this.concurrency && this.waiting.length > 0) {
+			const job = this.waiting.shift();
+			this.active++;
+			Promise.resolve()
+				.then(() => job.task())
+				.then(job.resolve, job.reject)
+				.finally(() => {
+					this.active--;
+					this._drain();
+				});
+		}
+	}
+}
+
+module.exports = { JobQueue };
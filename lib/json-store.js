@@ -0,0 +1,68 @@
+// lib/json-store.js
+// Small JSON file store for server-side state (users, sessions, progress).
+// All updates to one file go through a promise chain so concurrent requests
+// cannot interleave their read-modify-write, and every write goes to a temp
+// file that is renamed over the original so a crash never leaves half a file.
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+class JsonStore {
+	constructor(filePath, defaultValue = {}) {
+		this.filePath = filePath;
+		this.defaultValue = defaultValue;
+		this.data = null;
+		this.queue = Promise.resolve();
+	}
+
+	async _load() {
+		if (this.data !== null) return this.data;
+		try {
+			const txt = await fs.readFile(this.filePath, 'utf8');
+			this.data = JSON.parse(txt);
+		} catch (err) {
+			if (err.code !== 'ENOENT') {
+				// Refuse to continue on a corrupt file instead of silently starting over
+				throw new Error(`Failed to load ${this.filePath}: ${err.message}`);
+			}
+			this.data = JSON.parse(JSON.stringify(this.defaultValue));
+		}
+		return this.data;
+	}
+
+	async _write() {
+		await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+		const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+		await fs.writeFile(tmpPath, JSON.stringify(this.data, null, 2), 'utf8');
+		await fs.rename(tmpPath, this.filePath);
+	}
+
+	// Serialize an operation behind every earlier one on this store
+	_enqueue(op) {
+		const result = this.queue.then(op);
+		this.queue = result.catch(() => {});
+		return result;
+	}
+
+	// Resolve with the current data. Treat it as read-only; use update() to change it.
+	read() {
+		return this._enqueue(() => this._load());
+	}
+
+	// Apply `mutator(data)` and persist. Resolves with the mutator's return value.
+	update(mutator) {
+		return this._enqueue(async () => {
+			const data = await this._load();
+			const result = await mutator(data);
+			await this._write();
+			return result;
+		});
+	}
+
+	exists() {
+		return fsSync.existsSync(this.filePath);
+	}
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,141 @@
+// lib/limits.js
+// Resource limits and runner image for test containers.
+//
+// Exercises and test cases may carry
+//   "limits": { "timeoutMs": 60000, "memory": "512m", "cpus": 1, "pids": 256, "outputBytes": 1048576 }
+//   "image": "bexercises-runner-awk:latest"
+// Test-case values override exercise values, which override the server defaults.
+// Every value must stay within the server maxima and the image must be in the
+// allowed list; both come from the "runner" section of the server config:
+//   { "image", "allowedImages", "defaults": { ...limits }, "maxima": { ...limits } }
+
+const LIMIT_KEYS = ['timeoutMs', 'memory', 'cpus', 'pids', 'outputBytes'];
+
+const DEFAULT_RUNNER_CONFIG = {
+	image: 'bexercises-runner:latest',
+	allowedImages: [],
+	defaults: {
+		timeoutMs: 30000, // Docker startup can be slow
+		memory: '256m',
+		cpus: null, // no --cpus flag
+		pids: 128,
+		outputBytes: 1024 * 1024
+	},
+	maxima: {
+		timeoutMs: 120000,
+		memory: '1g',
+		cpus: 2,
+		pids: 512,
+		outputBytes: 10 * 1024 * 1024
+	}
+};
+
+const MEMORY_UNITS = { '': 1, b: 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+// Docker-style memory size ("256m", "1g", "512000k") -> bytes, or NaN
+function parseMemory(value) {
+	const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([bkmg]?)b?$/);
+	if (!match) return NaN;
+	return Math.round(Number(match[1]) * MEMORY_UNITS[match[2]]);
+}
+
+// Problems with one limits block, checked against the maxima (empty if fine)
+function checkLimits(limits, maxima, where) {
+	const problems = [];
+	if (limits === undefined) return problems;
+	if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+		return [`${where}: limits must be an object`];
+	}
+	for (const [key, value] of Object.entries(limits)) {
+		if (!LIMIT_KEYS.includes(key)) {
+			problems.push(`${where}: unknown limit "${key}"`);
+			continue;
+		}
+		if (key === 'memory') {
+			const bytes = parseMemory(value);
+			if (!(bytes > 0)) problems.push(`${where}: memory "${value}" is not a size like "256m"`);
+			else if (maxima.memory && bytes > parseMemory(maxima.memory)) {
+				problems.push(`${where}: memory ${value} exceeds the server maximum ${maxima.memory}`);
+			}
+			continue;
+		}
+		const integer = key !== 'cpus';
+		if (typeof value !== 'number' || !(value > 0) || (integer && !Number.isInteger(value))) {
+			problems.push(`${where}: ${key} must be a positive ${integer ? 'integer' : 'number'}`);
+		} else if (maxima[key] != null && value > maxima[key]) {
+			problems.push(`${where}: ${key} ${value} exceeds the server maximum ${maxima[key]}`);
+		}
+	}
+	return problems;
+}
+
+function checkImage(image, runnerConfig, where) {
+	if (image === undefined) return [];
+	if (typeof image !== 'string' || !image) return [`${where}: image must be a non-empty string`];
+	const allowed = [runnerConfig.image, ...(runnerConfig.allowedImages || [])];
+	return allowed.includes(image) ? [] : [`${where}: image "${image}" is not in the server's allowedImages`];
+}
+
+// Problems with the limits/image of an exercise and its test cases (empty if fine)
+function validateExerciseLimits(exercise, runnerConfig) {
+	const problems = [
+		...checkLimits(exercise.limits, runnerConfig.maxima, exercise.id),
+		...checkImage(exercise.image, runnerConfig, exercise.id)
+	];
+	(exercise.testCases || []).forEach((tc, i) => {
+		const where = `${exercise.id} test ${i + 1}`;
+		problems.push(...checkLimits(tc.limits, runnerConfig.maxima, where));
+		problems.push(...checkImage(tc.image, runnerConfig, where));
+	});
+	return problems;
+}
+
+// Effective { image, limits } for one test case
+function resolveLimits(exercise, testCase, runnerConfig) {
+	return {
+		image: testCase.image || exercise.image || runnerConfig.image,
+		limits: { ...runnerConfig.defaults, ...exercise.limits, ...testCase.limits }
+	};
+}
+
+// Merge a (partial) "runner" config section over the defaults and check it
+function loadRunnerConfig(section = {}) {
+	const config = {
+		image: section.image || DEFAULT_RUNNER_CONFIG.image,
+		allowedImages: section.allowedImages || DEFAULT_RUNNER_CONFIG.allowedImages,
+		defaults: { ...DEFAULT_RUNNER_CONFIG.defaults, ...section.defaults },
+		maxima: { ...DEFAULT_RUNNER_CONFIG.maxima, ...section.maxima }
+	};
+	const problems = [
+		...checkLimits(config.maxima, {}, 'runner.maxima'),
+		...checkLimits(stripNulls(config.defaults), config.maxima, 'runner.defaults')
+	];
+	if (!Array.isArray(config.allowedImages)) problems.push('runner.allowedImages must be an array');
+	if (problems.length > 0) {
+		const err = new Error(`Invalid runner configuration:\n  ${problems.join('\n  ')}`);
+		err.problems = problems;
+		throw err;
+	}
+	return config;
+}
+
+function stripNulls(obj) {
+	return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== null));
+}
+
+// docker run flags for a set of limits
+function dockerLimitArgs(limits) {
+	const args = ['--memory', String(limits.memory), '--pids-limit', String(limits.pids)];
+	if (limits.cpus) args.push('--cpus', String(limits.cpus));
+	return args;
+}
+
+module.exports = {
+	DEFAULT_RUNNER_CONFIG,
+	LIMIT_KEYS,
+	parseMemory,
+	validateExerciseLimits,
+	resolveLimits,
+	loadRunnerConfig,
+	dockerLimitArgs
+};
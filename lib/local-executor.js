@@ -0,0 +1,135 @@
+// lib/local-executor.js
+// The "local" backend (see lib/executors.js): runs the script as a plain
+// subprocess of the server, for development machines without Docker and CI.
+// Only for trusted code: limits are ulimits (memory, CPU time) plus the
+// timeout and output cap, and there is no process limit.
+//
+// sandbox:
+//   "none"  - bash in the workspace, as the server's user
+//   "bwrap" - bubblewrap: no network, own PID/IPC/UTS namespaces, read-only root,
+//             the workspace at /home/runner like in a container, and the other
+//             workspaces, the data directory, the catalogue and config.json hidden
+// The process (group) and anything it left running is killed when the script exits.
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { PIDS_EXHAUSTED_RE, SCRIPT_COMMAND, runProcess } = require('./process');
+const { parseMemory } = require('./limits');
+
+const SANDBOXES = ['none', 'bwrap'];
+const SANDBOX_WORKDIR = '/home/runner';
+const SCRIPT_PATH = '/usr/local/bin:/usr/bin:/bin';
+
+// What bash and common tools print when `ulimit -v` stops an allocation
+const MEMORY_EXHAUSTED_RE = /cannot allocate|Cannot allocate memory|memory exhausted/;
+
+function killGroup(child) {
+	try {
+		process.kill(-child.pid, 'SIGKILL');
+	} catch (e) {
+		/* already gone */
+	}
+}
+
+// Resolves the first line of `command --version`, or null if it cannot be run
+function commandVersion(command) {
+	return new Promise((resolve) => {
+		execFile(command, ['--version'], { timeout: 5000 }, (err, stdout) => {
+			resolve(err ? null : stdout.split('\n')[0].trim());
+		});
+	});
+}
+
+class LocalExecutor {
+	// options: { sandbox, hiddenPaths } - hiddenPaths (directories or files) are
+	// masked inside the bwrap sandbox
+	constructor({ sandbox = 'none', hiddenPaths = [] } = {}) {
+		this.name = 'local';
+		this.sandbox = sandbox;
+		this.hiddenPaths = hiddenPaths;
+	}
+
+	start() {
+		return Promise.resolve();
+	}
+
+	shutdown() {
+		return Promise.resolve();
+	}
+
+	// `ulimit` prefix for the script's limits
+	_ulimits(limits) {
+		const commands = [`ulimit -t ${Math.ceil(limits.timeoutMs / 1000)}`];
+		const memory = parseMemory(limits.memory);
+		if (memory > 0) commands.push(`ulimit -v ${Math.ceil(memory / 1024)}`);
+		return commands.join('; ') + '; ';
+	}
+
+	// bwrap arguments that mask the hidden paths: a directory with an empty tmpfs,
+	// a file with /dev/null. A path that does not exist needs no mask.
+	_maskArgs() {
+		return this.hiddenPaths.flatMap((p) => {
+			let stat;
+			try {
+				stat = fs.statSync(p);
+			} catch (err) {
+				return [];
+			}
+			return stat.isDirectory() ? ['--tmpfs', p] : ['--ro-bind', '/dev/null', p];
+		});
+	}
+
+	// job: { args, stdin, run: { image, limits } (lib/limits.js); the image is ignored }
+	async run(workdir, { args = [], stdin = [], run }) {
+		const { limits } = run;
+		const command = this._ulimits(limits) + SCRIPT_COMMAND;
+		const home = this.sandbox === 'bwrap' ? SANDBOX_WORKDIR : workdir;
+		let file = 'bash';
+		let fileArgs = ['-c', command, '--', ...args];
+		if (this.sandbox === 'bwrap') {
+			file = 'bwrap';
+			fileArgs = [
+				'--ro-bind', '/', '/',
+				'--dev', '/dev',
+				'--proc', '/proc',
+				'--tmpfs', '/tmp',
+				...this._maskArgs(),
+				'--bind', workdir, SANDBOX_WORKDIR,
+				'--chdir', SANDBOX_WORKDIR,
+				'--unshare-all',
+				'--die-with-parent',
+				'--new-session',
+				'bash', ...fileArgs
+			];
+		}
+
+		const r = await runProcess(file, fileArgs, {
+			stdin,
+			timeoutMs: limits.timeoutMs,
+			outputBytes: limits.outputBytes,
+			stop: killGroup,
+			onExit: killGroup,
+			spawnOptions: {
+				cwd: workdir,
+				detached: true, // own process group, so killGroup() reaches background jobs
+				env: { PATH: SCRIPT_PATH, HOME: home, LANG: 'C.UTF-8' }
+			}
+		});
+		r.oomKilled = !r.error && MEMORY_EXHAUSTED_RE.test(r.stderr);
+		r.pidsExhausted = !r.oomKilled && PIDS_EXHAUSTED_RE.test(r.stderr);
+		return r;
+	}
+
+	async health() {
+		const bash = await commandVersion('bash');
+		const sandbox = { type: this.sandbox, version: null };
+		if (this.sandbox === 'bwrap') sandbox.version = await commandVersion('bwrap');
+		return {
+			ok: bash !== null && (this.sandbox !== 'bwrap' || sandbox.version !== null),
+			bash: { available: bash !== null, version: bash },
+			sandbox
+		};
+	}
+}
+
+module.exports = { LocalExecutor, SANDBOXES };
@@ -0,0 +1,179 @@
+// lib/process.js
+// Running a student's script as a child process with a timeout and capped
+// output. Shared by the docker and local executors (see lib/executors.js).
+
+const { spawn } = require('child_process');
+
+const SCRIPT_NAME = 'script.sh';
+
+// Bash prints these when fork() fails with EAGAIN, i.e. the pids limit was hit
+const PIDS_EXHAUSTED_RE = /fork: (retry: )?Resource temporarily unavailable|Cannot fork/;
+
+// Command line for `bash -c`, run in the workspace: the script with its arguments ("$@").
+// Stdin is the process's stdin pipe (see testCaseStdin()).
+const SCRIPT_COMMAND = `bash ./${SCRIPT_NAME} "$@"`;
+
+// Stdin of a test case as chunks [{ data: Buffer, delayMs }], fed in order through
+// the script's stdin pipe, which is closed after the last one. The first of these
+// test case fields wins:
+//   stdinBase64  - raw bytes
+//   stdin        - a string, sent exactly as is (no newline is added)
+//   input        - lines, each followed by a newline; with inputDelayMs every line
+//                  is sent that long after the previous one, for prompt-style scripts
+// No input at all means an empty stdin.
+function testCaseStdin(tc) {
+	if (typeof tc.stdinBase64 === 'string') {
+		return [{ data: Buffer.from(tc.stdinBase64, 'base64'), delayMs: 0 }];
+	}
+	if (typeof tc.stdin === 'string') {
+		return [{ data: Buffer.from(tc.stdin, 'utf8'), delayMs: 0 }];
+	}
+	const lines = Array.isArray(tc.input) ? tc.input : [];
+	const delayMs = tc.inputDelayMs > 0 ? tc.inputDelayMs : 0;
+	if (delayMs === 0) {
+		return lines.length > 0 ? [{ data: Buffer.from(lines.map(line => `${line}\n`).join(''), 'utf8'), delayMs: 0 }] : [];
+	}
+	return lines.map(line => ({ data: Buffer.from(`${line}\n`, 'utf8'), delayMs }));
+}
+
+// Write stdin chunks (see testCaseStdin()) to a stream, waiting delayMs before each,
+// then end it. Returns a function that stops feeding.
+function feedStdin(stream, chunks) {
+	let timer = null;
+	let cancelled = false;
+	// The script may exit (or be stopped) without reading all of its input
+	stream.on('error', () => { cancelled = true; });
+
+	function next(i) {
+		if (cancelled) return;
+		if (i >= chunks.length) {
+			stream.end();
+			return;
+		}
+		timer = setTimeout(() => {
+			timer = null;
+			if (cancelled) return;
+			stream.write(chunks[i].data, (err) => {
+				if (!err) next(i + 1);
+			});
+		}, chunks[i].delayMs);
+	}
+	next(0);
+
+	return () => {
+		cancelled = true;
+		clearTimeout(timer);
+	};
+}
+
+// Collects a stream's output up to maxBytes. Calls onOverflow once when the
+// stream produces more; everything after that is dropped.
+function createOutputCollector(maxBytes, onOverflow) {
+	const chunks = [];
+	let bytes = 0;
+	let truncated = false;
+	return {
+		push(chunk) {
+			if (truncated) return;
+			const room = maxBytes - bytes;
+			if (chunk.length > room) {
+				chunks.push(chunk.subarray(0, room));
+				bytes = maxBytes;
+				truncated = true;
+				onOverflow();
+				return;
+			}
+			chunks.push(chunk);
+			bytes += chunk.length;
+		},
+		get truncated() { return truncated; },
+		text() { return Buffer.concat(chunks).toString('utf8'); }
+	};
+}
+
+// { truncated, truncatedStreams, outputLimitBytes } for a test result
+function truncationInfo(stdoutTruncated, stderrTruncated, outputBytes) {
+	const truncatedStreams = [];
+	if (stdoutTruncated) truncatedStreams.push('stdout');
+	if (stderrTruncated) truncatedStreams.push('stderr');
+	return { truncated: truncatedStreams.length > 0, truncatedStreams, outputLimitBytes: outputBytes };
+}
+
+// Run a command that executes a student's script and collect its output.
+// options: { stdin, timeoutMs, outputBytes, stop(child), onExit(child), spawnOptions }
+// stdin: chunks from testCaseStdin(), written to the child's stdin.
+// `stop` is called once when the script has to be stopped (timeout, or more than
+// outputBytes on stdout or stderr) and must stop everything the script started;
+// the child itself is killed here. `onExit` runs when the child exits, before its
+// pipes close (e.g. to kill what it left running in the background).
+// Resolves { stdout, stderr, exitCode, timedOut, truncated, truncatedStreams,
+// outputLimitBytes, error }; exitCode is -1 on a timeout. Never rejects.
+function runProcess(command, args, { stdin = [], timeoutMs, outputBytes, stop = () => {}, onExit = () => {}, spawnOptions = {} }) {
+	return new Promise((resolve) => {
+		const child = spawn(command, args, { ...spawnOptions, stdio: ['pipe', 'pipe', 'pipe'] });
+		const stopFeeding = feedStdin(child.stdin, stdin);
+
+		let timedOut = false;
+		let stopped = false;
+
+		function stopScript() {
+			if (stopped) return;
+			stopped = true;
+			stop(child);
+			try {
+				child.kill('SIGKILL');
+			} catch (e) {
+				/* ignore */
+			}
+			// We want no more output; don't let anything still holding the pipes delay 'close'
+			stopFeeding();
+			child.stdin.destroy();
+			child.stdout.destroy();
+			child.stderr.destroy();
+		}
+
+		// A script that prints too much (`yes`, an endless echo loop) is stopped
+		// right away instead of at the timeout
+		const stdout = createOutputCollector(outputBytes, stopScript);
+		const stderr = createOutputCollector(outputBytes, stopScript);
+		child.stdout.on('data', (d) => stdout.push(d));
+		child.stderr.on('data', (d) => stderr.push(d));
+
+		const killTimer = setTimeout(() => {
+			timedOut = true;
+			stopScript();
+		}, timeoutMs);
+
+		function finish(exitCode, error) {
+			clearTimeout(killTimer);
+			stopFeeding();
+			resolve({
+				stdout: stdout.text(),
+				stderr: stderr.text(),
+				exitCode,
+				timedOut,
+				...truncationInfo(stdout.truncated, stderr.truncated, outputBytes),
+				error
+			});
+		}
+
+		child.on('error', (err) => finish(null, err.message));
+		child.on('exit', () => {
+			// Input the script never read is dropped
+			stopFeeding();
+			child.stdin.destroy();
+			onExit(child);
+		});
+		child.on('close', (code) => finish(timedOut ? -1 : code, null));
+	});
+}
+
+module.exports = {
+	SCRIPT_NAME,
+	PIDS_EXHAUSTED_RE,
+	SCRIPT_COMMAND,
+	testCaseStdin,
+	createOutputCollector,
+	truncationInfo,
+	runProcess
+};
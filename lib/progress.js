@@ -0,0 +1,142 @@
+// lib/progress.js
+// Server-side progress per user: the code last saved for each exercise, its
+// completion flag and a short history of what happened to it.
+//
+// Stored shape (one JsonStore for all users):
+// {
+//   "<username>": {
+//     "importedAt": "<iso date>" | null,      // one-time localStorage import
+//     "exercises": {
+//       "<exerciseId>": {
+//         "code": "...", "completed": false, "lastModified": "<iso>",
+//         "firstCompletedAt": "<iso>" | null,
+//         "history": [ { "at": "<iso>", "event": "saved" | "run" | "reset" | "imported", ... } ]
+//       }
+//     }
+//   }
+// }
+
+const MAX_HISTORY_ENTRIES = 100;
+const MAX_CODE_LENGTH = 100 * 1024;
+
+function emptyUserProgress() {
+	return { importedAt: null, exercises: {} };
+}
+
+function exerciseEntry(userProgress, exerciseId) {
+	if (!userProgress.exercises[exerciseId]) {
+		userProgress.exercises[exerciseId] = {
+			code: '',
+			completed: false,
+			lastModified: null,
+			firstCompletedAt: null,
+			history: []
+		};
+	}
+	return userProgress.exercises[exerciseId];
+}
+
+function pushHistory(entry, item) {
+	entry.history.push(item);
+	if (entry.history.length > MAX_HISTORY_ENTRIES) {
+		entry.history.splice(0, entry.history.length - MAX_HISTORY_ENTRIES);
+	}
+}
+
+function badRequest(message) {
+	const err = new Error(message);
+	err.status = 400;
+	return err;
+}
+
+function checkCode(code) {
+	if (typeof code !== 'string') throw badRequest('code must be a string');
+	if (code.length > MAX_CODE_LENGTH) throw badRequest('code is too long');
+}
+
+class ProgressStore {
+	constructor(store) {
+		this.store = store;
+	}
+
+	async get(username) {
+		const all = await this.store.read();
+		return all[username] || emptyUserProgress();
+	}
+
+	_updateUser(username, mutator) {
+		return this.store.update(all => {
+			if (!all[username]) all[username] = emptyUserProgress();
+			return mutator(all[username]);
+		});
+	}
+
+	// Save code typed in the editor. Clients may clear the completion flag
+	// (e.g. "Reset") but only a passing run can set it.
+	saveCode(username, exerciseId, code, { reset = false } = {}) {
+		checkCode(code);
+		return this._updateUser(username, progress => {
+			const entry = exerciseEntry(progress, exerciseId);
+			const now = new Date().toISOString();
+			entry.code = code;
+			entry.lastModified = now;
+			if (reset) {
+				entry.completed = false;
+				pushHistory(entry, { at: now, event: 'reset' });
+			} else {
+				// Collapse consecutive autosaves into one history entry
+				const last = entry.history[entry.history.length - 1];
+				if (last && last.event === 'saved') last.at = now;
+				else pushHistory(entry, { at: now, event: 'saved' });
+			}
+			return entry;
+		});
+	}
+
+	// Record the outcome of a test run submitted by this user
+	recordRun(username, exerciseId, code, passed, details = {}) {
+		return this._updateUser(username, progress => {
+			const entry = exerciseEntry(progress, exerciseId);
+			const now = new Date().toISOString();
+			entry.code = code;
+			entry.completed = passed;
+			entry.lastModified = now;
+			if (passed && !entry.firstCompletedAt) entry.firstCompletedAt = now;
+			pushHistory(entry, { at: now, event: 'run', passed, ...details });
+			return entry;
+		});
+	}
+
+	// One-time import of the browser's localStorage progress
+	// ({ exerciseId: { code, completed, lastModified } }). Exercises that already
+	// have server-side progress are left alone. The imported completion flag is
+	// the client's word only: it never unlocks a solution (see exerciseUnlocks
+	// in server.js).
+	importLocal(username, localProgress, knownExerciseIds) {
+		return this._updateUser(username, progress => {
+			if (progress.importedAt) {
+				const err = new Error('Progress was already imported');
+				err.status = 409;
+				throw err;
+			}
+			const now = new Date().toISOString();
+			const imported = [];
+			for (const [exerciseId, local] of Object.entries(localProgress || {})) {
+				if (!knownExerciseIds.includes(exerciseId) || !local || typeof local !== 'object') continue;
+				if (progress.exercises[exerciseId]) continue;
+				if (typeof local.code !== 'string' || local.code.length > MAX_CODE_LENGTH) continue;
+				const entry = exerciseEntry(progress, exerciseId);
+				entry.code = local.code;
+				entry.completed = local.completed === true;
+				entry.lastModified = typeof local.lastModified === 'string' ? local.lastModified : now;
+				if (entry.completed) entry.firstCompletedAt = entry.lastModified;
+				pushHistory(entry, { at: now, event: 'imported', completed: entry.completed });
+				imported.push(exerciseId);
+			}
+			progress.importedAt = now;
+			return imported;
+		});
+	}
+}
+
+module.exports = { ProgressStore };
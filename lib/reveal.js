@@ -0,0 +1,120 @@
+// lib/reveal.js
+// When a student may see an exercise's model solution. An exercise can set its
+// own policy in a "reveal" field; otherwise the server's "reveal" config applies:
+//   { "policy": "after-pass" }                             once they passed all tests
+//   { "policy": "after-attempts", "attempts": 5 }          after that many failed runs (or a pass)
+//   { "policy": "after-deadline", "deadline": "<ISO date>" } for everyone after the deadline
+//   { "policy": "instructor-only" }                        never for students
+// Instructors and admins can always see solutions.
+//
+// Hints ("hints": ["...", ...] in the exercise) need no policy: they unlock one
+// at a time, in order, whenever the student asks for the next one.
+
+const POLICIES = ['after-pass', 'after-attempts', 'after-deadline', 'instructor-only'];
+
+// Problems with a policy object (config or exercise), as strings naming `where`
+function checkPolicy(reveal, where) {
+	if (!reveal || typeof reveal !== 'object' || Array.isArray(reveal)) {
+		return [`${where} must be an object`];
+	}
+	const problems = [];
+	for (const key of Object.keys(reveal)) {
+		if (!['policy', 'attempts', 'deadline'].includes(key)) problems.push(`unknown setting "${where}.${key}"`);
+	}
+	if (!POLICIES.includes(reveal.policy)) {
+		problems.push(`${where}.policy must be one of ${POLICIES.join(', ')}`);
+	}
+	if (reveal.policy === 'after-attempts' && (!Number.isInteger(reveal.attempts) || reveal.attempts < 1)) {
+		problems.push(`${where}.attempts must be a positive whole number`);
+	}
+	if (reveal.policy === 'after-deadline' && (typeof reveal.deadline !== 'string' || Number.isNaN(Date.parse(reveal.deadline)))) {
+		problems.push(`${where}.deadline must be a date (e.g. 2025-06-30T23:59:00+02:00)`);
+	}
+	return problems;
+}
+
+// Problems with the reveal policies of the exercises (reported at startup)
+function validateExerciseReveal(exercise) {
+	return exercise.reveal === undefined ? [] : checkPolicy(exercise.reveal, `${exercise.id} reveal`);
+}
+
+// Problems with the hints of an exercise (reported at startup)
+function validateExerciseHints(exercise) {
+	if (exercise.hints === undefined) return [];
+	if (!Array.isArray(exercise.hints) || !exercise.hints.every(hint => typeof hint === 'string' && hint.trim() !== '')) {
+		return [`${exercise.id} hints must be a list of non-empty strings`];
+	}
+	return [];
+}
+
+// The policy for an exercise: its own, else the server default (config.reveal)
+function resolvePolicy(exercise, defaults) {
+	return exercise.reveal || defaults;
+}
+
+// Whether `user` may see the solution under `reveal` (see resolvePolicy).
+// state: { passed, attempts (failed runs) } for this user and exercise; now: a Date.
+// Returns { allowed, policy, reason } plus attempts/deadline where they apply;
+// reason says what the student still has to do (null when allowed). An invalid
+// policy (e.g. a hand-edited deadline; logged at startup) shows students nothing.
+function revealStatus(reveal, user, { passed = false, attempts = 0 } = {}, now = new Date()) {
+	const isInstructor = !!user && (user.role === 'instructor' || user.role === 'admin');
+	if (checkPolicy(reveal, 'reveal').length > 0) {
+		return {
+			allowed: isInstructor,
+			policy: reveal && typeof reveal === 'object' && typeof reveal.policy === 'string' ? reveal.policy : null,
+			reason: isInstructor ? null : 'The solution is not available: the reveal policy of this exercise is invalid'
+		};
+	}
+
+	const status = { allowed: false, policy: reveal.policy, reason: null };
+	if (reveal.policy === 'after-attempts') {
+		status.attempts = { required: reveal.attempts, made: attempts };
+	}
+	if (reveal.policy === 'after-deadline') {
+		status.deadline = new Date(reveal.deadline).toISOString();
+	}
+
+	if (isInstructor) {
+		status.allowed = true;
+		return status;
+	}
+
+	switch (reveal.policy) {
+		case 'after-pass':
+			status.allowed = !!user && passed;
+			status.reason = user ? 'Pass all tests to see the solution' : 'Log in and pass all tests to see the solution';
+			break;
+		case 'after-attempts':
+			status.allowed = !!user && (passed || attempts >= reveal.attempts);
+			status.reason = user
+				? `The solution is available after ${reveal.attempts} failed attempts (${attempts} so far) or once you pass`
+				: 'Log in to keep track of your attempts';
+			break;
+		case 'after-deadline':
+			status.allowed = now.getTime() >= Date.parse(reveal.deadline);
+			status.reason = `The solution is available after ${status.deadline}`;
+			break;
+		default:
+			status.reason = 'Only instructors can see the solution';
+	}
+	if (status.allowed) status.reason = null;
+	return status;
+}
+
+// Hints of an exercise for a user who opened `opened` of them so far:
+// { total, revealed: [text, ...] } (the first `opened`, in order)
+function hintStatus(exercise, opened) {
+	const hints = exercise.hints || [];
+	return { total: hints.length, revealed: hints.slice(0, opened) };
+}
+
+module.exports = {
+	POLICIES,
+	checkPolicy,
+	validateExerciseReveal,
+	validateExerciseHints,
+	resolvePolicy,
+	revealStatus,
+	hintStatus
+};
@@ -0,0 +1,460 @@
+// lib/runner.js
+// Running scripts against exercises: every test case of a submission in its own
+// workspace (a temp directory with script.sh and the test case's fixtures), through
+// the job queue, on an executor (lib/executors.js), graded into one result per test.
+// Used by the server and by validate-exercises.js.
+
+const { spawn } = require('child_process');
+const fsPromises = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { compareOutput } = require('./comparators');
+const { resolveLimits } = require('./limits');
+const { testCaseStdin } = require('./process');
+const Outcomes = require('../frontend/outcomes');
+
+function normalizeOutput(s) {
+	if (s === null || s === undefined) return '';
+	// Normalize CRLF to LF
+	return s.replace(/\r\n/g, '\n');
+}
+
+// cross-version recursive remove helper
+async function removeRecursive(targetPath) {
+	// prefer fs.rm if available (Node >= 14.14+)
+	if (fsPromises.rm) {
+		return fsPromises.rm(targetPath, { recursive: true, force: true });
+	}
+	// fallback to rmdir recursive (older Node) or manual removal
+	if (fsPromises.rmdir) {
+		try {
+			return fsPromises.rmdir(targetPath, { recursive: true });
+		} catch (e) {
+			// some Node versions throw for rmdir recursive, fall through to manual
+		}
+	}
+
+	// Manual recursive delete (safe fallback)
+	async function _rmDirRecursive(p) {
+		const entries = await fsPromises.readdir(p);
+		await Promise.all(entries.map(async (entry) => {
+			const full = path.join(p, entry);
+			const stat = await fsPromises.lstat(full);
+			if (stat.isDirectory()) {
+				await _rmDirRecursive(full);
+			} else {
+				await fsPromises.unlink(full);
+			}
+		}));
+		await fsPromises.rmdir(p);
+	}
+
+	try {
+		await _rmDirRecursive(targetPath);
+	} catch (err) {
+		// last resort: ignore errors if path no longer exists
+		if (err.code !== 'ENOENT') throw err;
+	}
+}
+
+async function removeWorkspace(tmpdir) {
+	try {
+		await removeRecursive(tmpdir);
+	} catch (e) {
+		// best effort: a leftover workspace must not fail the run
+	}
+}
+
+// Parse the script with `bash -n` on the host. Resolves with bash's error
+// messages (as if the file were script.sh) or null when the syntax is fine.
+// The host's bash is not the runner's (another version, and `bash -n` does not
+// apply a `shopt -s extglob` in the script), so this is only a suspicion until
+// a run confirms it (see confirmedSyntaxError).
+const SYNTAX_CHECK_TIMEOUT_MS = 5000;
+
+function checkSyntax(script) {
+	return new Promise((resolve) => {
+		const bash = spawn('bash', ['-n'], { stdio: ['pipe', 'ignore', 'pipe'] });
+		let stderr = '';
+		const killTimer = setTimeout(() => {
+			try { bash.kill('SIGKILL'); } catch (e) { /* ignore */ }
+		}, SYNTAX_CHECK_TIMEOUT_MS);
+
+		bash.stderr.on('data', (d) => { stderr += d.toString(); });
+		// Not being able to check is not the student's fault: treat as "no syntax error"
+		bash.on('error', () => {
+			clearTimeout(killTimer);
+			resolve(null);
+		});
+		bash.on('close', (code) => {
+			clearTimeout(killTimer);
+			if (code === 0 || code === null) return resolve(null);
+			resolve(normalizeOutput(stderr).replace(/^bash: /gm, 'script.sh: ').trim() || 'syntax error');
+		});
+		bash.stdin.on('error', () => { /* bash exited early */ });
+		bash.stdin.end(script);
+	});
+}
+
+// `syntaxError` (from checkSyntax) when the run's stderr reports the same error,
+// else null
+function confirmedSyntaxError(syntaxError, stderr) {
+	if (!syntaxError || !stderr) return null;
+	const errors = syntaxError.split('\n')
+		.map(line => line.replace(/^script\.sh: /, '').trim())
+		.filter(line => line.includes('syntax error'));
+	return errors.some(error => stderr.includes(error)) ? syntaxError : null;
+}
+
+// Check `expectedFiles` assertions against the workspace after the script ran.
+// Each entry: { path, content?, comparator?, mode?, exists? } (mode as decimal,
+// like fixturePermissions). Paths are relative to the workspace; anything that
+// resolves outside of it (absolute paths, "..", symlinks) counts as missing.
+const MAX_EXPECTED_FILE_BYTES = 64 * 1024;
+
+async function checkExpectedFiles(workdir, expectedFiles) {
+	const results = [];
+	const root = await fsPromises.realpath(workdir);
+
+	for (const spec of expectedFiles) {
+		const relPath = String(spec.path || '');
+		const shouldExist = spec.exists !== false;
+		const fileResult = { path: relPath, exists: false, passed: false };
+
+		let stat = null;
+		const fullPath = path.resolve(root, relPath);
+		if (relPath && !path.isAbsolute(relPath) && fullPath.startsWith(root + path.sep)) {
+			try {
+				stat = await fsPromises.lstat(fullPath);
+				const real = await fsPromises.realpath(fullPath);
+				if (!stat.isFile() || real !== fullPath) stat = null;
+			} catch (err) {
+				stat = null;
+			}
+		}
+		fileResult.exists = stat !== null;
+
+		if (!shouldExist || !stat) {
+			fileResult.passed = (fileResult.exists === shouldExist);
+			results.push(fileResult);
+			continue;
+		}
+
+		let passed = true;
+		if (typeof spec.content === 'string') {
+			const handle = await fsPromises.open(fullPath, 'r');
+			let actual;
+			try {
+				const buf = Buffer.alloc(Math.min(stat.size, MAX_EXPECTED_FILE_BYTES));
+				const { bytesRead } = await handle.read(buf, 0, buf.length, 0);
+				actual = buf.slice(0, bytesRead).toString('utf8');
+			} finally {
+				await handle.close();
+			}
+			const content = compareOutput(normalizeOutput(spec.content), normalizeOutput(actual), spec.comparator);
+			fileResult.comparator = content.comparator;
+			fileResult.expectedContent = content.expected;
+			fileResult.actualContent = content.actual;
+			fileResult.contentMatched = content.passed;
+			if (content.error) fileResult.error = content.error;
+			passed = passed && content.passed;
+		}
+		if (spec.mode !== undefined) {
+			fileResult.expectedMode = spec.mode & 0o777;
+			fileResult.actualMode = stat.mode & 0o777;
+			fileResult.modeMatched = fileResult.expectedMode === fileResult.actualMode;
+			passed = passed && fileResult.modeMatched;
+		}
+		fileResult.passed = passed;
+		results.push(fileResult);
+	}
+	return results;
+}
+
+// The first comparison that could not be made because of an invalid comparator, or null
+function comparisonError(output, stderr, fileResults) {
+	const failed = [output, stderr, ...(fileResults || [])].find(c => c && c.error);
+	return failed ? failed.error : null;
+}
+
+// Fixture files the test cases of an exercise use: { names, permissions }, with the
+// permissions the first test case that sets them gives them (see copyFixtures)
+function exerciseFixtures(exercise) {
+	const names = [];
+	const permissions = {};
+	for (const tc of exercise.testCases || []) {
+		for (const name of tc.fixtures || []) {
+			if (!names.includes(name)) names.push(name);
+			const mode = tc.fixturePermissions && tc.fixturePermissions[name];
+			if (mode !== undefined && permissions[name] === undefined) permissions[name] = mode;
+		}
+	}
+	return { names, permissions };
+}
+
+class Runner {
+	// options: { jobQueue (lib/job-queue.js), fixturesDir, tmpDirPrefix,
+	// runnerConfig: image and limits (lib/limits.js) }
+	constructor({ jobQueue, fixturesDir, tmpDirPrefix, runnerConfig }) {
+		this.jobQueue = jobQueue;
+		this.fixturesDir = fixturesDir;
+		this.tmpDirPrefix = tmpDirPrefix;
+		this.runnerConfig = runnerConfig;
+	}
+
+	// createTempScript - robust: if scriptPath exists and is a directory -> remove it
+	async createTempScript(scriptContents) {
+		// Normalize line endings to LF
+		const normalized = String(scriptContents).replace(/\r\n/g, '\n');
+
+		// Create unique temp directory
+		const tmpdir = await fsPromises.mkdtemp(this.tmpDirPrefix);
+
+		// Set tmpdir permissions to allow Docker container access (different UID)
+		await fsPromises.chmod(tmpdir, 0o755);
+
+		const scriptPath = path.join(tmpdir, 'script.sh');
+
+		// Defensive: if something exists at scriptPath remove it (handle case where it's a dir)
+		try {
+			if (fsSync.existsSync(scriptPath)) {
+				const st = fsSync.lstatSync(scriptPath);
+				if (st.isDirectory()) {
+					// remove directory (use your removeRecursive helper)
+					await removeRecursive(scriptPath);
+				} else {
+					// remove existing file
+					await fsPromises.unlink(scriptPath);
+				}
+			}
+		} catch (err) {
+			// Continue; writeFile below fails if the path is still unusable
+		}
+
+		// Ensure parent directory exists (should exist because mkdtemp created tmpdir)
+		await fsPromises.mkdir(path.dirname(scriptPath), { recursive: true });
+
+		// Create the file atomically and write contents
+		// Use flag 'w' to create/overwrite safely
+		await fsPromises.writeFile(scriptPath, normalized, { encoding: 'utf8', flag: 'w' });
+
+		// Explicitly set executable permissions (writeFile mode is affected by umask)
+		// Mode 0o777 ensures all users can read/write/execute (needed for Docker container with different UID)
+		await fsPromises.chmod(scriptPath, 0o777);
+
+		// Extra safety: verify it's a file
+		const finalStat = fsSync.lstatSync(scriptPath);
+		if (!finalStat.isFile()) {
+			throw new Error(`Failed to create script file at ${scriptPath} (not a regular file)`);
+		}
+
+		return { tmpdir, scriptPath };
+	}
+
+	// Copy fixture files to temp directory
+	// fixturePermissions is optional: { "filename": 0o755, ... }
+	async copyFixtures(tmpdir, fixtures = [], fixturePermissions = {}) {
+		const copiedFiles = [];
+		for (const fixtureName of fixtures) {
+			const sourcePath = path.join(this.fixturesDir, fixtureName);
+			const destPath = path.join(tmpdir, fixtureName);
+
+			try {
+				// Check if fixture exists
+				if (!fsSync.existsSync(sourcePath)) {
+					continue;
+				}
+
+				// Copy the file
+				await fsPromises.copyFile(sourcePath, destPath);
+
+				// Set permissions: use explicit permission if provided, otherwise preserve original
+				let mode;
+				if (fixturePermissions && fixturePermissions[fixtureName] !== undefined) {
+					mode = fixturePermissions[fixtureName];
+				} else {
+					const stat = await fsPromises.stat(sourcePath);
+					mode = stat.mode;
+				}
+				await fsPromises.chmod(destPath, mode);
+
+				copiedFiles.push(fixtureName);
+			} catch (err) {
+				// Skipped like a missing fixture; the test then fails on its own
+			}
+		}
+		return copiedFiles;
+	}
+
+	// Run a single test case inside `workdir`, which already holds the script.
+	// Returns the result object sent to the client for this test.
+	// options: { executor, run: { image, limits } (lib/limits.js), syntaxError (from
+	// checkSyntax; reported only when this run shows it too) }
+	async runTestCase(workdir, tc, index, { executor, run, syntaxError = null }) {
+		// Copy any fixtures needed for this test case
+		if (tc.fixtures && Array.isArray(tc.fixtures)) {
+			await this.copyFixtures(workdir, tc.fixtures, tc.fixturePermissions);
+		}
+
+		// IMPORTANT: arguments are provided as list of strings
+		const r = await executor.run(workdir, { args: tc.arguments || [], stdin: testCaseStdin(tc), run });
+		r.stdout = normalizeOutput(r.stdout);
+		r.stderr = normalizeOutput(r.stderr);
+
+		// Compare output with the test case's comparator (default: "trim", see lib/comparators.js)
+		const output = compareOutput(normalizeOutput(tc.expectedOutput || ''), r.stdout, tc.comparator);
+
+		// Stderr is only graded when the test case declares expectedStderr
+		const stderr = (typeof tc.expectedStderr === 'string')
+			? compareOutput(normalizeOutput(tc.expectedStderr), r.stderr, tc.stderrComparator)
+			: null;
+
+		// Files the script should have left behind in its workspace
+		const fileResults = Array.isArray(tc.expectedFiles)
+			? await checkExpectedFiles(workdir, tc.expectedFiles)
+			: null;
+
+		// nullish-coalescing replacement for older Node: fallback to 0 when expectedExitCode is null/undefined
+		const expectedExitCode = (tc.expectedExitCode != null) ? tc.expectedExitCode : 0;
+
+		const passed = (!r.timedOut)
+			&& (r.exitCode !== null)
+			&& (String(r.exitCode) === String(expectedExitCode))
+			&& output.passed
+			&& (!stderr || stderr.passed)
+			&& (!fileResults || fileResults.every(f => f.passed));
+
+		const result = {
+			testNumber: index + 1,
+			arguments: tc.arguments || [],
+			comparator: output.comparator,
+			expectedOutput: output.expected,
+			expectedExitCode: expectedExitCode,
+			actualOutput: output.actual,
+			outputMatched: output.passed,
+			// Whether the frontend may diff expectedOutput and actualOutput (see lib/comparators.js)
+			diffable: output.diffable,
+			// Untrimmed versions, as written in the test case and printed by the script
+			rawExpectedOutput: normalizeOutput(tc.expectedOutput || ''),
+			rawOutput: r.stdout,
+			stderr: r.stderr,
+			exitCode: r.exitCode,
+			timedOut: r.timedOut,
+			oomKilled: r.oomKilled,
+			pidsExhausted: r.pidsExhausted,
+			truncated: r.truncated,
+			truncatedStreams: r.truncatedStreams,
+			outputLimitBytes: r.outputLimitBytes,
+			// An invalid comparator (see lib/comparators.js) fails this test only
+			error: r.error || comparisonError(output, stderr, fileResults),
+			syntaxError: confirmedSyntaxError(syntaxError, r.stderr),
+			passed
+		};
+		if (stderr) {
+			result.expectedStderr = stderr.expected;
+			result.stderrComparator = stderr.comparator;
+			result.stderrMatched = stderr.passed;
+		}
+		if (fileResults) {
+			result.fileResults = fileResults;
+		}
+		// One outcome per test (see frontend/outcomes.js), used by the UI and statistics
+		result.outcome = Outcomes.classify(result);
+		return result;
+	}
+
+	// Run all test cases of a submission through the queue. Results keep test order.
+	// By default every test case gets a pristine workspace (the script plus only its own
+	// fixtures). Test cases flagged `sharedWorkspace: true` instead run one after the other,
+	// in order, in a single workspace so exercises can test state carried across runs.
+	// queueId: tags the jobs in the queue (see JobQueue.positionOf)
+	// executor: the backend that runs the tests (lib/executors.js)
+	// hooks: { onTestStart(testNumber), onTestResult(result) }, called as each test case
+	// leaves the queue and as it finishes (in completion order, not test order)
+	async runSubmission(script, exercise, queueId, executor, hooks = {}) {
+		const { onTestStart = () => {}, onTestResult = () => {} } = hooks;
+		const testCases = exercise.testCases || [];
+		let shared = null;
+		let sharedChain = Promise.resolve();
+		// Tests still run on a syntax error (bash executes up to the broken line),
+		// but failures are attributed to it
+		const syntaxError = await checkSyntax(script);
+
+		const runOne = async (workdir, tc, i) => {
+			onTestStart(i + 1);
+			const result = await this.runTestCase(workdir, tc, i, { executor, run: resolveLimits(exercise, tc, this.runnerConfig), syntaxError });
+			onTestResult(result);
+			return result;
+		};
+
+		try {
+			return await Promise.all(testCases.map((tc, i) => {
+				if (tc.sharedWorkspace) {
+					sharedChain = sharedChain.then(() => this.jobQueue.push(async () => {
+						if (!shared) shared = await this.createTempScript(script);
+						return runOne(shared.tmpdir, tc, i);
+					}, queueId));
+					return sharedChain;
+				}
+
+				return this.jobQueue.push(async () => {
+					const { tmpdir } = await this.createTempScript(script);
+					try {
+						return await runOne(tmpdir, tc, i);
+					} finally {
+						await removeWorkspace(tmpdir);
+					}
+				}, queueId);
+			}));
+		} finally {
+			// Wait for the shared chain to settle before removing its workspace
+			await sharedChain.catch(() => {});
+			if (shared) await removeWorkspace(shared.tmpdir);
+		}
+	}
+
+	// Run a script once outside of the test cases, with the exercise's default limits, in a
+	// fresh workspace with the chosen fixtures. Goes through the queue like a test case.
+	// Nothing is graded or recorded. options: { args, stdin, fixtures, queueId, executor }
+	async runScratch(script, exercise, { args, stdin, fixtures, queueId, executor }) {
+		const syntaxError = await checkSyntax(script);
+		const startedAt = Date.now();
+		const r = await this.jobQueue.push(async () => {
+			const { tmpdir } = await this.createTempScript(script);
+			try {
+				await this.copyFixtures(tmpdir, fixtures, exerciseFixtures(exercise).permissions);
+				return await executor.run(tmpdir, {
+					args,
+					stdin: testCaseStdin({ stdin }),
+					run: resolveLimits(exercise, {}, this.runnerConfig)
+				});
+			} finally {
+				await removeWorkspace(tmpdir);
+			}
+		}, queueId);
+
+		return {
+			arguments: args,
+			stdout: normalizeOutput(r.stdout),
+			stderr: normalizeOutput(r.stderr),
+			exitCode: r.exitCode,
+			timedOut: r.timedOut,
+			oomKilled: r.oomKilled,
+			pidsExhausted: r.pidsExhausted,
+			truncated: r.truncated,
+			truncatedStreams: r.truncatedStreams,
+			outputLimitBytes: r.outputLimitBytes,
+			error: r.error,
+			syntaxError: confirmedSyntaxError(syntaxError, normalizeOutput(r.stderr)),
+			durationMs: Date.now() - startedAt
+		};
+	}
+}
+
+module.exports = {
+	Runner,
+	checkSyntax,
+	exerciseFixtures,
+	normalizeOutput,
+	removeWorkspace
+};
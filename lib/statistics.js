@@ -0,0 +1,261 @@
+// lib/statistics.js
+// Per-exercise run statistics behind a small repository interface:
+//   recordAttempt(exerciseId, attempt) -> updated stats for that exercise
+//   get(exerciseId) / all()
+//
+// Storage is an append-only event log plus a periodic snapshot:
+//   <dir>/events.jsonl   one { seq, type: "attempt", exerciseId, username, at, passed, failures } per line
+//   <dir>/snapshot.json  { version, lastSeq, stats, openAttempts } - state after event lastSeq
+//
+// Besides the totals, each exercise keeps
+//   failuresByTest       { "<testNumber>": { failures, reasons: { reason: count } } }
+//   attemptsUntilSuccess { "<attempts>": students } - attempts each logged-in student
+//                        needed for their first pass (anonymous runs are not counted)
+// openAttempts ({ exerciseId: { username: count } }) counts the attempts of
+// students who have not passed yet; it stays out of the public stats.
+//
+// Every operation goes through one promise chain, so concurrent runs never lose
+// increments. Appending a line cannot corrupt earlier ones; a torn last line
+// (crash mid-append) is cut off on load, so the next append starts a line of
+// its own instead of being glued to it (see _repairLogTail). Compaction writes the snapshot to a temp file,
+// renames it into place and only then truncates the log; events with
+// seq <= lastSeq are ignored on load, so a crash in between double-counts nothing.
+//
+// On first use, an existing legacy statistics.json (the old whole-file format)
+// is imported as the initial snapshot and renamed to statistics.json.migrated.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+const COMPACT_EVERY = 500; // events in the log before it is folded into the snapshot
+
+function emptyExerciseStats() {
+	return {
+		totalAttempts: 0,
+		successfulAttempts: 0,
+		failedAttempts: 0,
+		lastAttempt: null,
+		failureReasons: {},
+		failuresByTest: {},
+		attemptsUntilSuccess: {}
+	};
+}
+
+// Fold one event into the state (mutates it)
+function applyEvent(state, event) {
+	if (event.type !== 'attempt') return;
+	const { stats, openAttempts } = state;
+	// Stats from older snapshots lack the newer fields
+	stats[event.exerciseId] = { ...emptyExerciseStats(), ...stats[event.exerciseId] };
+	const ex = stats[event.exerciseId];
+	ex.totalAttempts++;
+	ex.lastAttempt = event.at;
+	if (event.passed) {
+		ex.successfulAttempts++;
+	} else {
+		ex.failedAttempts++;
+		for (const failure of event.failures || []) {
+			ex.failureReasons[failure.reason] = (ex.failureReasons[failure.reason] || 0) + 1;
+			if (failure.testNumber === undefined) continue;
+			const test = ex.failuresByTest[failure.testNumber] || (ex.failuresByTest[failure.testNumber] = { failures: 0, reasons: {} });
+			test.failures++;
+			test.reasons[failure.reason] = (test.reasons[failure.reason] || 0) + 1;
+		}
+	}
+
+	if (!event.username) return;
+	const open = openAttempts[event.exerciseId] || (openAttempts[event.exerciseId] = {});
+	if (open[event.username] === null) return; // passed before
+	const attempts = (open[event.username] || 0) + 1;
+	if (event.passed) {
+		ex.attemptsUntilSuccess[attempts] = (ex.attemptsUntilSuccess[attempts] || 0) + 1;
+		open[event.username] = null;
+	} else {
+		open[event.username] = attempts;
+	}
+}
+
+async function readFileOrNull(file) {
+	try {
+		return await fs.readFile(file, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT') return null;
+		throw err;
+	}
+}
+
+class StatisticsStore {
+	// options: { dir, legacyPath?, compactEvery? }
+	constructor({ dir, legacyPath = null, compactEvery = COMPACT_EVERY }) {
+		this.dir = dir;
+		this.legacyPath = legacyPath;
+		this.compactEvery = compactEvery;
+		this.snapshotPath = path.join(dir, 'snapshot.json');
+		this.logPath = path.join(dir, 'events.jsonl');
+		this.stats = null;
+		this.openAttempts = null;
+		this.lastSeq = 0;
+		this.logEvents = 0;
+		this.queue = Promise.resolve();
+	}
+
+	_enqueue(op) {
+		const result = this.queue.then(op);
+		this.queue = result.catch(() => {});
+		return result;
+	}
+
+	async _load() {
+		if (this.stats !== null) return;
+
+		let stats = {};
+		let openAttempts = {};
+		let lastSeq = 0;
+		const snapshotTxt = await readFileOrNull(this.snapshotPath);
+		if (snapshotTxt !== null) {
+			let snapshot;
+			try {
+				snapshot = JSON.parse(snapshotTxt);
+			} catch (err) {
+				// Refuse to continue instead of silently starting from zero
+				throw new Error(`Failed to load ${this.snapshotPath}: ${err.message}`);
+			}
+			stats = snapshot.stats || {};
+			openAttempts = snapshot.openAttempts || {};
+			lastSeq = snapshot.lastSeq || 0;
+		} else if (this.legacyPath) {
+			const imported = await this._migrateLegacy();
+			if (imported) stats = imported;
+		}
+
+		const state = { stats, openAttempts };
+		let logEvents = 0;
+		const logTxt = await this._repairLogTail(await readFileOrNull(this.logPath));
+		for (const line of (logTxt || '').split('\n')) {
+			if (!line.trim()) continue;
+			let event;
+			try {
+				event = JSON.parse(line);
+			} catch (err) {
+				continue; // torn write; skip
+			}
+			if (event.seq <= lastSeq) continue; // already in the snapshot
+			applyEvent(state, event);
+			lastSeq = event.seq;
+			logEvents++;
+		}
+
+		this.stats = stats;
+		this.openAttempts = openAttempts;
+		this.lastSeq = lastSeq;
+		this.logEvents = logEvents;
+	}
+
+	// Make the log end with a newline: a last line without one was cut off by a
+	// crash. A complete event only lost its newline and is kept; anything else is
+	// truncated. Resolves the log text as it is now.
+	async _repairLogTail(logTxt) {
+		if (!logTxt || logTxt.endsWith('\n')) return logTxt;
+		const keep = logTxt.slice(0, logTxt.lastIndexOf('\n') + 1);
+		const tail = logTxt.slice(keep.length);
+		try {
+			JSON.parse(tail);
+			await fs.appendFile(this.logPath, '\n', 'utf8');
+			return `${logTxt}\n`;
+		} catch (err) {
+			await fs.truncate(this.logPath, Buffer.byteLength(keep, 'utf8'));
+			return keep;
+		}
+	}
+
+	// Import the old statistics.json as the first snapshot
+	async _migrateLegacy() {
+		const txt = await readFileOrNull(this.legacyPath);
+		if (txt === null) return null;
+		let legacy;
+		try {
+			legacy = JSON.parse(txt);
+		} catch (err) {
+			throw new Error(`Failed to migrate ${this.legacyPath}: ${err.message}`);
+		}
+		const stats = {};
+		for (const [exerciseId, ex] of Object.entries(legacy || {})) {
+			stats[exerciseId] = { ...emptyExerciseStats(), ...ex, failureReasons: { ...(ex.failureReasons || {}) } };
+		}
+		await this._writeSnapshot(stats, {}, 0);
+		await fs.rename(this.legacyPath, `${this.legacyPath}.migrated`);
+		console.log(`Imported ${Object.keys(stats).length} exercises from ${this.legacyPath}`);
+		return stats;
+	}
+
+	async _writeSnapshot(stats, openAttempts, lastSeq) {
+		await fs.mkdir(this.dir, { recursive: true });
+		const tmpPath = `${this.snapshotPath}.${process.pid}.tmp`;
+		const snapshot = { version: SNAPSHOT_VERSION, lastSeq, stats, openAttempts };
+		await fs.writeFile(tmpPath, JSON.stringify(snapshot, null, 2), 'utf8');
+		await fs.rename(tmpPath, this.snapshotPath);
+	}
+
+	// Fold the log into the snapshot and start a new, empty log
+	async _compact() {
+		await this._writeSnapshot(this.stats, this.openAttempts, this.lastSeq);
+		await fs.writeFile(this.logPath, '', 'utf8');
+		this.logEvents = 0;
+	}
+
+	// attempt: { passed, failures: [{ testNumber, reason }], username?, at? }
+	recordAttempt(exerciseId, attempt) {
+		return this._enqueue(async () => {
+			await this._load();
+			const event = {
+				seq: this.lastSeq + 1,
+				type: 'attempt',
+				exerciseId,
+				username: attempt.username || null,
+				at: attempt.at || new Date().toISOString(),
+				passed: attempt.passed === true,
+				failures: attempt.passed ? [] : (attempt.failures || [])
+			};
+			await fs.mkdir(this.dir, { recursive: true });
+			await fs.appendFile(this.logPath, JSON.stringify(event) + '\n', 'utf8');
+			applyEvent({ stats: this.stats, openAttempts: this.openAttempts }, event);
+			this.lastSeq = event.seq;
+			this.logEvents++;
+			if (this.logEvents >= this.compactEvery) {
+				try {
+					await this._compact();
+				} catch (err) {
+					// The log is still complete; try again after the next event
+					console.error('Failed to compact statistics:', err);
+				}
+			}
+			return this.stats[exerciseId];
+		});
+	}
+
+	// Stats for one exercise (zeroes if it was never run)
+	get(exerciseId) {
+		return this._enqueue(async () => {
+			await this._load();
+			return { ...emptyExerciseStats(), ...this.stats[exerciseId] };
+		});
+	}
+
+	// { exerciseId: stats } for every exercise that was run
+	all() {
+		return this._enqueue(async () => {
+			await this._load();
+			return this.stats;
+		});
+	}
+
+	compact() {
+		return this._enqueue(async () => {
+			await this._load();
+			await this._compact();
+		});
+	}
+}
+
+module.exports = { StatisticsStore, emptyExerciseStats };
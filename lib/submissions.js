@@ -0,0 +1,191 @@
+// lib/submissions.js
+// Submission history: every test run is stored as one record
+//   { id, exerciseId, username, createdAt, script, results, passed,
+//     passedTests, totalTests, durationMs }
+// where results are per-test summaries (see resultSummary): the verdict and the
+// start of the output, not the full output the client got with the run.
+// in an append-only JSON-lines file per user and exercise:
+//   <dir>/<username>/<exerciseId>.jsonl
+// The same file records when the user opened a hint or the solution, as
+//   { id, type: 'hint' | 'solution', exerciseId, username, createdAt, hint? }
+// (hint: its number, from 1). Runs have no type.
+// Anonymous runs go to the "_anonymous" directory. Appends to one file are
+// serialized; a torn last line (crash mid-append) is skipped when reading, and
+// the next append starts on a new line so it is not lost with it.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const ANONYMOUS = '_anonymous';
+const SAFE_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+// Characters of stdout and stderr kept per test
+const PREVIEW_CHARS = 1024;
+
+// Whether a file is missing, empty or ends with a newline
+async function endsWithNewline(file) {
+	let handle;
+	try {
+		handle = await fs.open(file, 'r');
+	} catch (err) {
+		if (err.code === 'ENOENT') return true;
+		throw err;
+	}
+	try {
+		const { size } = await handle.stat();
+		if (size === 0) return true;
+		const buf = Buffer.alloc(1);
+		await handle.read(buf, 0, 1, size - 1);
+		return buf[0] === 0x0a;
+	} finally {
+		await handle.close();
+	}
+}
+
+function invalid(message) {
+	const err = new Error(message);
+	err.status = 400;
+	return err;
+}
+
+class SubmissionStore {
+	constructor(dir) {
+		this.dir = dir;
+		this.appendQueues = new Map();
+	}
+
+	_filePath(username, exerciseId) {
+		const user = username || ANONYMOUS;
+		if (!SAFE_NAME_RE.test(user) && user !== ANONYMOUS) throw invalid(`Invalid username ${user}`);
+		if (!SAFE_NAME_RE.test(exerciseId)) throw invalid(`Invalid exercise id ${exerciseId}`);
+		return path.join(this.dir, user, `${exerciseId}.jsonl`);
+	}
+
+	async append(record) {
+		const file = this._filePath(record.username, record.exerciseId);
+		const line = JSON.stringify(record) + '\n';
+		const previous = this.appendQueues.get(file) || Promise.resolve();
+		const next = previous.then(async () => {
+			await fs.mkdir(path.dirname(file), { recursive: true });
+			const separator = await endsWithNewline(file) ? '' : '\n';
+			await fs.appendFile(file, separator + line, 'utf8');
+		});
+		const settled = next.catch(() => {});
+		this.appendQueues.set(file, settled);
+		// Forget the queue once idle so the map does not grow forever
+		settled.then(() => {
+			if (this.appendQueues.get(file) === settled) this.appendQueues.delete(file);
+		});
+		return next;
+	}
+
+	// Every record (runs and views) of one user for one exercise, oldest first
+	async _read(username, exerciseId) {
+		const file = this._filePath(username, exerciseId);
+		let txt;
+		try {
+			txt = await fs.readFile(file, 'utf8');
+		} catch (err) {
+			if (err.code === 'ENOENT') return [];
+			throw err;
+		}
+		const records = [];
+		for (const line of txt.split('\n')) {
+			if (!line.trim()) continue;
+			try {
+				records.push(JSON.parse(line));
+			} catch (err) {
+				// torn write; skip
+			}
+		}
+		return records;
+	}
+
+	// All runs of one user for one exercise, oldest first
+	async all(username, exerciseId) {
+		return (await this._read(username, exerciseId)).filter(isRun);
+	}
+
+	// Hint and solution views of one user for one exercise, oldest first
+	async views(username, exerciseId) {
+		return (await this._read(username, exerciseId)).filter(record => !isRun(record));
+	}
+
+	// Runs as summaries without script and per-test results, and views, newest first
+	async list(username, exerciseId) {
+		const records = await this._read(username, exerciseId);
+		return records.reverse().map(summarize);
+	}
+
+	async get(username, exerciseId, id) {
+		const records = await this.all(username, exerciseId);
+		for (let i = records.length - 1; i >= 0; i--) {
+			if (records[i].id === id) return records[i];
+		}
+		return null;
+	}
+
+	// Exercise ids one user has submitted for
+	async exerciseIds(username) {
+		const userDir = path.dirname(this._filePath(username, 'x'));
+		try {
+			const entries = await fs.readdir(userDir);
+			return entries.filter(name => name.endsWith('.jsonl')).map(name => name.slice(0, -'.jsonl'.length));
+		} catch (err) {
+			if (err.code === 'ENOENT') return [];
+			throw err;
+		}
+	}
+
+	// Usernames that have a history directory (for instructor views)
+	async users() {
+		try {
+			const entries = await fs.readdir(this.dir, { withFileTypes: true });
+			return entries.filter(e => e.isDirectory() && e.name !== ANONYMOUS).map(e => e.name);
+		} catch (err) {
+			if (err.code === 'ENOENT') return [];
+			throw err;
+		}
+	}
+}
+
+function preview(text) {
+	return typeof text === 'string' && text.length > PREVIEW_CHARS ? text.slice(0, PREVIEW_CHARS) : text;
+}
+
+// What a submission record keeps of one test result (lib/runner.js): the
+// outcome and exit status, and previews of the output. previewTruncated is
+// true when stdout or stderr was cut.
+function resultSummary(result) {
+	return {
+		testNumber: result.testNumber,
+		outcome: result.outcome,
+		passed: result.passed,
+		exitCode: result.exitCode,
+		expectedExitCode: result.expectedExitCode,
+		timedOut: result.timedOut,
+		error: result.error,
+		actualOutput: preview(result.actualOutput),
+		stderr: preview(result.stderr),
+		previewTruncated: preview(result.actualOutput) !== result.actualOutput || preview(result.stderr) !== result.stderr
+	};
+}
+
+function isRun(record) {
+	return record.type === undefined;
+}
+
+function summarize(record) {
+	if (!isRun(record)) return record;
+	return {
+		id: record.id,
+		exerciseId: record.exerciseId,
+		username: record.username,
+		createdAt: record.createdAt,
+		passed: record.passed,
+		passedTests: record.passedTests,
+		totalTests: record.totalTests,
+		durationMs: record.durationMs
+	};
+}
+
+module.exports = { SubmissionStore, summarize, resultSummary };
@@ -0,0 +1,214 @@
+// lib/terminal.js
+// Interactive terminals: a bash shell in a runner container, attached to the
+// browser's xterm.js over a WebSocket (see /api/terminal in server.js). `script`
+// gives the shell a PTY inside the container, so programs see a real terminal
+// (prompts, Ctrl-C, line editing). Containers get the same network isolation and
+// limits as test runs; the time limit is replaced by an idle timeout and a
+// maximum session length. Each user has at most one session. Containers carry a
+// label, so the ones a crashed server left behind are removed at the next start.
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+const { v4: uuidv4 } = require('uuid');
+const { runDockerCommand } = require('./docker');
+const { dockerLimitArgs } = require('./limits');
+
+const CONTAINER_WORKDIR = '/home/runner';
+const LABEL = 'bexercises.terminal';
+// Resizes are applied once they stop coming for this long (a window being dragged)
+const RESIZE_DEBOUNCE_MS = 100;
+
+// `bash -c` command for the container: an interactive bash on a PTY of the given
+// size ($1 rows, $2 columns). The container's first PTY is /dev/pts/0 (see resize()).
+const SHELL_COMMAND = 'exec script -qfec "stty rows $1 cols $2 2>/dev/null; exec bash -i" /dev/null';
+
+// Why a session ended, for the user
+const CLOSE_MESSAGES = {
+	exited: 'The shell exited',
+	idle: 'Closed after a period without input',
+	expired: 'The session reached its maximum length',
+	replaced: 'You opened a terminal somewhere else',
+	disconnected: 'Disconnected',
+	shutdown: 'The server is restarting',
+	failed: 'The terminal could not be started'
+};
+
+const MAX_SIZE = 1000;
+
+function validSize(value, fallback) {
+	return Number.isInteger(value) && value > 0 && value <= MAX_SIZE ? value : fallback;
+}
+
+// One shell. Emits 'data' (output text) and 'close' (reason, a CLOSE_MESSAGES key)
+// once the container is gone.
+class TerminalSession extends EventEmitter {
+	// options: { owner, workdir, run: { image, limits } (lib/limits.js), cols, rows,
+	// cleanup, idleTimeoutMs, maxSessionMs, label }; cleanup() runs after the container
+	// is removed; label: the container label of this server (see TerminalManager)
+	constructor({ owner, workdir, run, cols, rows, cleanup = async () => {}, idleTimeoutMs, maxSessionMs, label }) {
+		super();
+		this.owner = owner;
+		this.cleanup = cleanup;
+		this.containerName = `bex-term-${uuidv4()}`;
+		this.closed = false;
+		// The latest size asked for and not applied yet, and whether a resize runs
+		this.pendingSize = null;
+		this.resizing = false;
+		this.resizeTimer = null;
+
+		const args = [
+			'run',
+			'-i',
+			'--name', this.containerName,
+			'--label', label,
+			'--network', 'none',
+			...dockerLimitArgs(run.limits),
+			'-v', `${workdir}:${CONTAINER_WORKDIR}:rw`,
+			'-w', CONTAINER_WORKDIR,
+			'-e', 'TERM=xterm-256color',
+			'--entrypoint', '/bin/bash',
+			run.image,
+			'-c',
+			SHELL_COMMAND,
+			'--',
+			String(validSize(rows, 24)),
+			String(validSize(cols, 80))
+		];
+		this.child = spawn('docker', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+		const decoder = new StringDecoder('utf8');
+		// docker's own errors (e.g. a missing image) arrive on stderr
+		this.child.stdout.on('data', (d) => this.emit('data', decoder.write(d)));
+		this.child.stderr.on('data', (d) => this.emit('data', decoder.write(d)));
+		this.child.stdin.on('error', () => { /* the shell is gone */ });
+		this.child.on('error', () => this.close('failed'));
+		this.child.on('close', () => this.close('exited'));
+
+		this.idleTimer = setTimeout(() => this.close('idle'), idleTimeoutMs);
+		this.maxTimer = setTimeout(() => this.close('expired'), maxSessionMs);
+	}
+
+	// Keystrokes from the browser
+	write(data) {
+		if (this.closed) return;
+		this.idleTimer.refresh();
+		this.child.stdin.write(data);
+	}
+
+	// Resize the PTY; the kernel sends SIGWINCH to the shell's foreground job.
+	// Every resize is a `docker exec`, so they are debounced and at most one runs
+	// at a time; only the latest size is applied.
+	resize(cols, rows) {
+		if (this.closed || !validSize(cols, 0) || !validSize(rows, 0)) return;
+		this.pendingSize = { cols, rows };
+		clearTimeout(this.resizeTimer);
+		this.resizeTimer = setTimeout(() => this._applySize(), RESIZE_DEBOUNCE_MS);
+	}
+
+	async _applySize() {
+		if (this.closed || this.resizing || !this.pendingSize) return;
+		const { cols, rows } = this.pendingSize;
+		this.pendingSize = null;
+		this.resizing = true;
+		await runDockerCommand(['exec', this.containerName, 'bash', '-c', 'stty -F /dev/pts/0 rows "$1" cols "$2"', '--', String(rows), String(cols)]);
+		this.resizing = false;
+		// Sizes that came in while this one ran
+		this._applySize();
+	}
+
+	// Stop reading output while the browser catches up
+	pause() {
+		this.child.stdout.pause();
+		this.child.stderr.pause();
+	}
+
+	resume() {
+		this.child.stdout.resume();
+		this.child.stderr.resume();
+	}
+
+	// Remove the container (and with it everything the shell started), clean up,
+	// then emit 'close'
+	async close(reason) {
+		if (this.closed) return;
+		this.closed = true;
+		clearTimeout(this.idleTimer);
+		clearTimeout(this.maxTimer);
+		clearTimeout(this.resizeTimer);
+		await runDockerCommand(['rm', '-f', this.containerName]);
+		try {
+			this.child.kill('SIGKILL');
+		} catch (e) {
+			/* ignore */
+		}
+		await this.cleanup();
+		this.emit('close', reason);
+	}
+}
+
+// All sessions of this server, at most one per owner (username)
+class TerminalManager {
+	// options: { enabled, idleTimeoutMs, maxSessionMs, maxSessions, tmpDirPrefix }
+	constructor({ enabled, idleTimeoutMs, maxSessionMs, maxSessions, tmpDirPrefix }) {
+		this.enabled = enabled;
+		this.idleTimeoutMs = idleTimeoutMs;
+		this.maxSessionMs = maxSessionMs;
+		this.maxSessions = maxSessions;
+		// Containers of this server, told apart from other servers on the same Docker host
+		this.label = `${LABEL}=${tmpDirPrefix}`;
+		this.sessions = new Map();
+	}
+
+	// Remove the terminal containers a previous run of this server left behind
+	async start() {
+		const { code, stdout } = await runDockerCommand(['ps', '-aq', '--filter', `label=${this.label}`]);
+		const stale = code === 0 ? stdout.split('\n').filter(Boolean) : [];
+		if (stale.length > 0) await runDockerCommand(['rm', '-f', ...stale]);
+	}
+
+	// Start a shell for `owner` in `workdir` (already holding the script and fixtures).
+	// The owner's previous session is closed first. Throws an error with a status
+	// when the terminal is disabled or all sessions are in use.
+	// options: { workdir, run: { image, limits }, cols, rows, cleanup } (see TerminalSession)
+	async open(owner, { workdir, run, cols, rows, cleanup }) {
+		if (!this.enabled) throw statusError('the terminal is disabled on this server', 403);
+		const previous = this.sessions.get(owner);
+		if (previous) await previous.close('replaced');
+		if (this.sessions.size >= this.maxSessions) {
+			throw statusError('all terminals are in use, try again later', 503);
+		}
+
+		const session = new TerminalSession({
+			owner,
+			workdir,
+			run,
+			cols,
+			rows,
+			cleanup,
+			idleTimeoutMs: this.idleTimeoutMs,
+			maxSessionMs: this.maxSessionMs,
+			label: this.label
+		});
+		this.sessions.set(owner, session);
+		session.on('close', () => {
+			if (this.sessions.get(owner) === session) this.sessions.delete(owner);
+		});
+		return session;
+	}
+
+	shutdown() {
+		return Promise.all([...this.sessions.values()].map(session => session.close('shutdown')));
+	}
+
+	stats() {
+		return { enabled: this.enabled, sessions: this.sessions.size, maxSessions: this.maxSessions };
+	}
+}
+
+function statusError(message, status) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+module.exports = { TerminalManager, TerminalSession, CLOSE_MESSAGES };
@@ -1,13 +1,29 @@
 // server.js
 const express = require('express');
 const bodyParser = require('body-parser');
-const { spawn } = require('child_process');
-const fs = require('fs').promises;
-const fsSync = require('fs');
 const os = require('os');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const morgan = require('morgan');
+const { JobQueue } = require('./lib/job-queue');
+const { JsonStore } = require('./lib/json-store');
+const { Auth, requireAuth, requireRole, loadProvider } = require('./lib/auth');
+const { ProgressStore } = require('./lib/progress');
+const { SubmissionStore, resultSummary } = require('./lib/submissions');
+const { buildDashboard, toCsv } = require('./lib/dashboard');
+const { StatisticsStore } = require('./lib/statistics');
+const { validateExerciseLimits, resolveLimits } = require('./lib/limits');
+const { validateExerciseComparators } = require('./lib/comparators');
+const { loadConfig, publicConfig } = require('./lib/config');
+const { validateExerciseReveal, validateExerciseHints, resolvePolicy, revealStatus, hintStatus } = require('./lib/reveal');
+const { Executors, EXECUTOR_NAMES } = require('./lib/executors');
+const { openEventStream } = require('./lib/sse');
+const { TerminalManager, CLOSE_MESSAGES } = require('./lib/terminal');
+const { ExerciseStore, exerciseVersion } = require('./lib/exercise-store');
+const { checkCatalogue, exerciseProblems: checkExerciseProblems } = require('./lib/catalogue');
+const { Runner, exerciseFixtures, removeWorkspace } = require('./lib/runner');
+const { WebSocketServer } = require('ws');
+const OutputDiff = require('./frontend/diff');
 
 const app = express();
 app.use(morgan('combined'));
@@ -17,455 +33,955 @@ app.use(bodyParser.json({ limit: '200kb' }));
 app.use((req, res, next) => {
 	res.header('Access-Control-Allow-Origin', '*');
 	res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-	res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+	res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match');
+	res.header('Access-Control-Expose-Headers', 'ETag');
 	if (req.method === 'OPTIONS') {
 		return res.sendStatus(200);
 	}
 	next();
 });
 
-// Load exercises (server side). Keep testCases & solutions here.
-// Example structure used below; replace with your real data file
-const EXERCISES_INTERNAL_PATH = path.join(__dirname, 'exercises-internal.json');
-const STATISTICS_PATH = path.join(__dirname, 'statistics.json');
+// Config: config.json and BEX_* environment variables (see lib/config.js).
+// Refuse to start on an invalid configuration.
+let config;
+try {
+	config = loadConfig({ baseDir: __dirname });
+} catch (err) {
+	console.error(err.message);
+	process.exit(1);
+}
 
-// Config: tweak these to taste / infra
-const RUNNER_IMAGE = 'bexercises-runner:latest';
-const PER_TEST_TIMEOUT_MS = 30000; // 30s per test (Docker startup can be slow)
-const MAX_PARALLEL_TESTS = 4; // for potential future job queue
-const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+// Load exercises (server side). Keep testCases & solutions here.
+const EXERCISES_INTERNAL_PATH = config.exercisesPath;
+const LEGACY_STATISTICS_PATH = config.legacyStatisticsPath;
+const MAX_PARALLEL_TESTS = config.maxParallelTests;
+const FIXTURES_DIR = config.fixturesDir;
+const TMP_DIR_PREFIX = config.tmpDirPrefix;
+const DATA_DIR = config.dataDir;
+const ALLOW_REGISTRATION = config.allowRegistration;
+// Optional extra login provider module, tried before local accounts (see lib/auth.js)
+const AUTH_PROVIDER_MODULE = config.authProvider;
+const runnerConfig = config.runner; // image and limits (see lib/limits.js)
+const serverStartedAt = new Date();
+
+// Global queue: every test case of every submission runs through here
+const jobQueue = new JobQueue(MAX_PARALLEL_TESTS);
+
+// Runs scripts against the test cases of exercises (see lib/runner.js)
+const runner = new Runner({ jobQueue, fixturesDir: FIXTURES_DIR, tmpDirPrefix: TMP_DIR_PREFIX, runnerConfig });
+
+// Execution backends: the configured one, others on request of an admin (see lib/executors.js)
+const executors = new Executors(config);
+
+// Interactive shells in runner containers, one per user (see lib/terminal.js)
+const terminals = new TerminalManager({ ...config.terminal, tmpDirPrefix: TMP_DIR_PREFIX });
+
+// Accounts and server-side progress
+const auth = new Auth({
+	usersStore: new JsonStore(path.join(DATA_DIR, 'users.json')),
+	sessionsStore: new JsonStore(path.join(DATA_DIR, 'sessions.json')),
+	providers: AUTH_PROVIDER_MODULE ? [loadProvider(AUTH_PROVIDER_MODULE)] : [],
+	allowRegistration: ALLOW_REGISTRATION
+});
+const progressStore = new ProgressStore(new JsonStore(path.join(DATA_DIR, 'progress.json')));
+const submissionStore = new SubmissionStore(path.join(DATA_DIR, 'submissions'));
+const statisticsStore = new StatisticsStore({
+	dir: path.join(DATA_DIR, 'statistics'),
+	legacyPath: LEGACY_STATISTICS_PATH
+});
+const exerciseStore = new ExerciseStore({ filePath: EXERCISES_INTERNAL_PATH, fixturesDir: FIXTURES_DIR });
+app.use(auth.middleware());
 
 // ---------- Utility helpers ----------
-async function loadExercisesInternal() {
-	const txt = await fs.readFile(EXERCISES_INTERNAL_PATH, 'utf8');
-	return JSON.parse(txt);
+// Read per request, so edits (by hand or through the authoring API) apply right away
+function loadExercisesInternal() {
+	return exerciseStore.all();
 }
 
-async function loadStatistics() {
-	try {
-		const txt = await fs.readFile(STATISTICS_PATH, 'utf8');
-		return JSON.parse(txt);
-	} catch (err) {
-		// If file doesn't exist, return empty stats
-		return {};
+// Send an error with the status it carries (AuthError, validation errors), else 500
+function sendError(res, err) {
+	if (err && err.status && err.status < 500) {
+		return res.status(err.status).json({ error: err.message });
 	}
+	res.status(500).json({ error: 'internal error', detail: err ? err.message : undefined });
 }
 
-async function saveStatistics(stats) {
-	try {
-		await fs.writeFile(STATISTICS_PATH, JSON.stringify(stats, null, 2), 'utf8');
-	} catch (err) {
-		console.error('Failed to save statistics:', err);
-	}
-}
-
-function normalizeOutput(s) {
-	if (s === null || s === undefined) return '';
-	// Normalize CRLF to LF
-	return s.replace(/\r\n/g, '\n');
-}
-
-// ---------- Compatibility helpers ----------
-const { promisify } = require('util');
-const fsPromises = require('fs').promises;
-
-// cross-version recursive remove helper
-async function removeRecursive(targetPath) {
-  // prefer fs.rm if available (Node >= 14.14+)
-  if (fsPromises.rm) {
-    return fsPromises.rm(targetPath, { recursive: true, force: true });
-  }
-  // fallback to rmdir recursive (older Node) or manual removal
-  if (fsPromises.rmdir) {
-    try {
-      return fsPromises.rmdir(targetPath, { recursive: true });
-    } catch (e) {
-      // some Node versions throw for rmdir recursive, fall through to manual
-    }
-  }
-
-  // Manual recursive delete (safe fallback)
-  async function _rmDirRecursive(p) {
-    const entries = await fsPromises.readdir(p);
-    await Promise.all(entries.map(async (entry) => {
-      const full = path.join(p, entry);
-      const stat = await fsPromises.lstat(full);
-      if (stat.isDirectory()) {
-        await _rmDirRecursive(full);
-      } else {
-        await fsPromises.unlink(full);
-      }
-    }));
-    await fsPromises.rmdir(p);
-  }
-
-  try {
-    await _rmDirRecursive(targetPath);
-  } catch (err) {
-    // last resort: ignore errors if path no longer exists
-    if (err.code !== 'ENOENT') throw err;
-  }
+// Queue ids are chosen by the client, so it can poll its queue position while
+// waiting (GET /api/queue/:queueId); keep them short and printable.
+function isValidQueueId(value) {
+	return typeof value === 'string' && /^[A-Za-z0-9-]{8,64}$/.test(value);
 }
 
-// createTempScript - robust: if scriptPath exists and is a directory -> remove it
-async function createTempScript(scriptContents) {
-  // Normalize line endings to LF
-  const normalized = String(scriptContents).replace(/\r\n/g, '\n');
-
-  // Create unique temp directory
-  const tmpdir = await fsPromises.mkdtemp('/srv/bexercises/tmp/bex-');
-  
-  // Set tmpdir permissions to allow Docker container access (different UID)
-  await fsPromises.chmod(tmpdir, 0o755);
-  
-  const scriptPath = path.join(tmpdir, 'script.sh');
-
-  // Defensive: if something exists at scriptPath remove it (handle case where it's a dir)
-  try {
-    if (fsSync.existsSync(scriptPath)) {
-      const st = fsSync.lstatSync(scriptPath);
-      if (st.isDirectory()) {
-        // remove directory (use your removeRecursive helper)
-        await removeRecursive(scriptPath);
-      } else {
-        // remove existing file
-        await fsPromises.unlink(scriptPath);
-      }
-    }
-  } catch (err) {
-    // Log but continue; cleanup will happen later
-    //console.error('Warning while prepping script path:', err && err.message ? err.message : err);
-  }
-
-  // Ensure parent directory exists (should exist because mkdtemp created tmpdir)
-  await fsPromises.mkdir(path.dirname(scriptPath), { recursive: true });
-
-  // Create the file atomically and write contents
-  // Use flag 'w' to create/overwrite safely
-  await fsPromises.writeFile(scriptPath, normalized, { encoding: 'utf8', flag: 'w' });
-
-  // Explicitly set executable permissions (writeFile mode is affected by umask)
-  // Mode 0o777 ensures all users can read/write/execute (needed for Docker container with different UID)
-  await fsPromises.chmod(scriptPath, 0o777);
-
-  // Extra safety: verify it's a file
-  const finalStat = fsSync.lstatSync(scriptPath);
-  if (!finalStat.isFile()) {
-    throw new Error(`Failed to create script file at ${scriptPath} (not a regular file)`);
-  }
-
-  //console.error(`Created script file: tmpdir=${tmpdir}, scriptPath=${scriptPath}`);
-  return { tmpdir, scriptPath };
+// Check the scratchpad fields of a run request (see POST /api/exercises/:id/scratch).
+// Returns { args, stdin, fixtures }; throws an error with status 400 when invalid.
+const MAX_SCRATCH_ARGUMENTS = 32;
+const MAX_SCRATCH_STDIN_BYTES = 64 * 1024;
+
+function parseScratchRequest(body, exercise) {
+	const invalid = (message) => {
+		const err = new Error(message);
+		err.status = 400;
+		return err;
+	};
+	const args = body.arguments === undefined ? [] : body.arguments;
+	if (!Array.isArray(args) || !args.every(arg => typeof arg === 'string')) {
+		throw invalid('arguments must be an array of strings');
+	}
+	if (args.length > MAX_SCRATCH_ARGUMENTS) {
+		throw invalid(`at most ${MAX_SCRATCH_ARGUMENTS} arguments are allowed`);
+	}
+	const stdin = body.stdin === undefined ? '' : body.stdin;
+	if (typeof stdin !== 'string') throw invalid('stdin must be a string');
+	if (Buffer.byteLength(stdin, 'utf8') > MAX_SCRATCH_STDIN_BYTES) {
+		throw invalid(`stdin is limited to ${MAX_SCRATCH_STDIN_BYTES / 1024} KB`);
+	}
+	const fixtures = body.fixtures === undefined ? [] : body.fixtures;
+	const available = exerciseFixtures(exercise).names;
+	if (!Array.isArray(fixtures) || !fixtures.every(name => available.includes(name))) {
+		throw invalid(`fixtures must be a subset of this exercise's fixtures (${available.join(', ') || 'none'})`);
+	}
+	return { args, stdin, fixtures: [...new Set(fixtures)] };
 }
 
-// Copy fixture files to temp directory
-// fixturePermissions is optional: { "filename": 0o755, ... }
-async function copyFixtures(tmpdir, fixtures = [], fixturePermissions = {}) {
-  const copiedFiles = [];
-  //console.error(`copyFixtures called with fixturePermissions:`, JSON.stringify(fixturePermissions));
-  for (const fixtureName of fixtures) {
-    const sourcePath = path.join(FIXTURES_DIR, fixtureName);
-    const destPath = path.join(tmpdir, fixtureName);
-    
-    try {
-      // Check if fixture exists
-      if (!fsSync.existsSync(sourcePath)) {
-        //console.error(`Warning: fixture ${fixtureName} not found at ${sourcePath}`);
-        continue;
-      }
-      
-      // Copy the file
-      await fsPromises.copyFile(sourcePath, destPath);
-      
-      // Set permissions: use explicit permission if provided, otherwise preserve original
-      let mode;
-      if (fixturePermissions && fixturePermissions[fixtureName] !== undefined) {
-        mode = fixturePermissions[fixtureName];
-        //console.error(`Using explicit permissions for ${fixtureName}: ${mode} (0o${mode.toString(8)})`);
-      } else {
-        const stat = await fsPromises.stat(sourcePath);
-        mode = stat.mode;
-      }
-      await fsPromises.chmod(destPath, mode);
-      
-      copiedFiles.push(fixtureName);
-      //console.error(`Copied fixture: ${fixtureName} to ${destPath} with mode ${(mode & 0o777).toString(8)}`);
-    } catch (err) {
-      //console.error(`Error copying fixture ${fixtureName}:`, err.message);
-    }
-  }
-  return copiedFiles;
+// What the requesting user has unlocked of an exercise (see lib/reveal.js):
+// { reveal: the solution's reveal status, hints: { total, revealed } }.
+// Both count runs in the submission history, never the progress flags, which
+// a client can import: "passed" means a run passed at least once (so a later
+// Reset does not hide the solution again); attempts are failed runs. Hints
+// opened are read from the history too.
+async function exerciseUnlocks(req, ex) {
+	let state = {};
+	let opened = 0;
+	if (req.user) {
+		const [runs, views] = await Promise.all([
+			submissionStore.all(req.user.username, ex.id),
+			submissionStore.views(req.user.username, ex.id)
+		]);
+		state = { passed: runs.some(run => run.passed), attempts: runs.filter(run => !run.passed).length };
+		opened = new Set(views.filter(view => view.type === 'hint').map(view => view.hint)).size;
+	}
+	return {
+		reveal: revealStatus(resolvePolicy(ex, config.reveal), req.user, state),
+		hints: hintStatus(ex, opened)
+	};
 }
 
-// Run the script inside a docker container for one test-case.
-// Returns { stdout, stderr, exitCode, timedOut, error }
-async function runScriptInContainer(tmpdir, args = [], inputs=[], timeoutMs = PER_TEST_TIMEOUT_MS) {
-  return new Promise((resolve) => {
-    const containerWorkdir = '/home/runner';
-    const containerScript = 'script.sh';
-    
-    // Build the command to execute
-    // If we have inputs, pipe them via printf, otherwise just run the script
-    let shellCommand;
-    if (inputs && Array.isArray(inputs) && inputs.length > 0) {
-      // Escape single quotes in the input by replacing ' with '\''
-      const escapedInputs = inputs.map(line => line.replace(/'/g, "'\\''"));
-      const inputString = escapedInputs.join('\\n') + '\\n';
-      // Use printf to handle special characters properly, pipe to the script
-      // Use ./ prefix to execute from current directory
-      shellCommand = `printf '%b' '${inputString}' | bash ./${containerScript} "$@"`;
-    } else {
-      // No input - just run the script with empty stdin
-      // Use ./ prefix to execute from current directory
-      shellCommand = `bash ./${containerScript} "$@" < /dev/null`;
-    }
-    
-    const dockerArgs = [
-      'run', '--rm',
-      '--network', 'none',
-      '--memory', '256m',
-      '--pids-limit', '128',
-      '-v', `${tmpdir}:${containerWorkdir}:rw`,  // Mount entire tmpdir with write access for output files
-      '-w', containerWorkdir,
-      '--entrypoint', '/bin/bash',
-      RUNNER_IMAGE,
-      '-c',
-      shellCommand,
-      '--',
-      ...args
-    ];
-
-    // Log the docker command for debugging
-    //console.error('Docker command:', dockerArgs.join(' '));
-    //console.error('Shell command:', shellCommand);
-    //console.error('Args:', args);
-
-    const docker = spawn('docker', dockerArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
-    
-    // Add spawn error logging
-    docker.on('spawn', () => {
-      //console.error('Docker process spawned successfully');
-    });
-
-    let stdout = '';
-    let stderr = '';
-    let timedOut = false;
-
-    docker.stdout.on('data', (d) => { 
-      stdout += d.toString(); 
-    });
-    
-    docker.stderr.on('data', (d) => { 
-      stderr += d.toString(); 
-    });
-
-    const killTimer = setTimeout(() => {
-      timedOut = true;
-      try { 
-        docker.kill('SIGKILL'); 
-      } catch (e) { 
-        /* ignore */ 
-      }
-    }, timeoutMs);
-
-    docker.on('error', (err) => {
-      clearTimeout(killTimer);
-      resolve({ 
-        stdout: normalizeOutput(stdout), 
-        stderr: normalizeOutput(stderr), 
-        exitCode: null, 
-        timedOut, 
-        error: err.message 
-      });
-    });
-
-    docker.on('close', (code, signal) => {
-      clearTimeout(killTimer);
-      //console.error(`Docker process closed. Code: ${code}, Signal: ${signal}, TimedOut: ${timedOut}`);
-      const exitCode = timedOut ? -1 : code;
-      resolve({ 
-        stdout: normalizeOutput(stdout), 
-        stderr: normalizeOutput(stderr), 
-        exitCode, 
-        timedOut, 
-        error: null 
-      });
-    });
-  });
+// Record in the user's history that they opened a hint or the solution
+function recordView(req, ex, type, details = {}) {
+	return submissionStore.append({
+		id: uuidv4(),
+		type,
+		exerciseId: ex.id,
+		username: req.user.username,
+		createdAt: new Date().toISOString(),
+		...details
+	});
 }
 
 // ---------- API ----------
 app.get('/api/exercises', async (req, res) => {
-	const all = await loadExercisesInternal();
-	// Remove sensitive fields before exposing to clients
-	const stripped = all.map(ex => ({
-		id: ex.id,
-		title: ex.title,
-		description: ex.description,
-		solution: ex.solution,
-		chapter: ex.chapter,
-		order: ex.order
-	}));
-	res.json(stripped);
+	try {
+		const all = await loadExercisesInternal();
+		// Only public metadata: no solutions or test cases
+		const stripped = all.map(ex => ({
+			id: ex.id,
+			title: ex.title,
+			description: ex.description,
+			chapter: ex.chapter,
+			order: ex.order
+		}));
+		res.json(stripped);
+	} catch (err) {
+		sendError(res, err);
+	}
 });
 
 app.get('/api/exercises/:id', async (req, res) => {
+	try {
+		const id = req.params.id;
+		const all = await loadExercisesInternal();
+		const ex = all.find(e => e.id === id);
+		if (!ex) return res.status(404).json({ error: 'not found' });
+		const { reveal, hints } = await exerciseUnlocks(req, ex);
+		// Do NOT return solution or testCases
+		res.json({
+			id: ex.id,
+			title: ex.title,
+			description: ex.description,
+			// Names only, for the scratchpad ("Run" panel)
+			fixtures: exerciseFixtures(ex).names,
+			// Whether GET /api/exercises/:id/solution will answer, and if not, why
+			reveal,
+			// The hints this user has opened, and how many there are
+			hints
+		});
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// The model solution, when the exercise's reveal policy allows it (see lib/reveal.js);
+// 403 with the reveal status otherwise. Logged-in users get the view in their history.
+app.get('/api/exercises/:id/solution', async (req, res) => {
+	try {
+		const all = await loadExercisesInternal();
+		const ex = all.find(e => e.id === req.params.id);
+		if (!ex) return res.status(404).json({ error: 'not found' });
+		const { reveal } = await exerciseUnlocks(req, ex);
+		if (!reveal.allowed) {
+			return res.status(403).json({ error: reveal.reason, reveal });
+		}
+		if (req.user) await recordView(req, ex, 'solution');
+		res.json({ id: ex.id, solution: ex.solution || '', reveal });
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Open the user's next hint of an exercise (they unlock in order) and record it
+// in their history; 409 once all hints are open
+app.post('/api/exercises/:id/hints', requireAuth, async (req, res) => {
+	try {
+		const all = await loadExercisesInternal();
+		const ex = all.find(e => e.id === req.params.id);
+		if (!ex) return res.status(404).json({ error: 'not found' });
+		const { hints } = await exerciseUnlocks(req, ex);
+		if (hints.revealed.length >= hints.total) {
+			return res.status(409).json({ error: hints.total ? 'all hints are already open' : 'this exercise has no hints', hints });
+		}
+		const number = hints.revealed.length + 1;
+		await recordView(req, ex, 'hint', { hint: number });
+		res.json({ hint: { number, text: ex.hints[number - 1] }, hints: hintStatus(ex, number) });
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Check a run request (body: { script, queueId?, executor? }). Sends the error response
+// and returns null when it can't run, else { ex, submissionId, queueId, executorName, startedAt }.
+// The submission id is always the server's, so every run gets a record of its own.
+async function prepareRun(req, res) {
 	const id = req.params.id;
+	const body = req.body;
+	if (!body || typeof body.script !== 'string') {
+		res.status(400).json({ error: 'Missing script in request body' });
+		return null;
+	}
+
 	const all = await loadExercisesInternal();
 	const ex = all.find(e => e.id === id);
-	if (!ex) return res.status(404).json({ error: 'not found' });
-	// Do NOT return solution or testCases
-	res.json({
-		id: ex.id,
-		title: ex.title,
-		description: ex.description,
-		solution: ex.solution
+	if (!ex) {
+		res.status(404).json({ error: 'exercise not found' });
+		return null;
+	}
+
+	const submissionId = uuidv4();
+	const queueId = isValidQueueId(body.queueId) ? body.queueId : submissionId;
+
+	let executorName = executors.defaultName;
+	if (body.executor !== undefined) {
+		if (!req.user || req.user.role !== 'admin') {
+			res.status(403).json({ error: 'only admins can choose the executor' });
+			return null;
+		}
+		if (!EXECUTOR_NAMES.includes(body.executor)) {
+			res.status(400).json({ error: `executor must be one of ${EXECUTOR_NAMES.join(', ')}` });
+			return null;
+		}
+		executorName = body.executor;
+	}
+
+	const startedAt = Date.now();
+	// Limits/images beyond the server maxima are an authoring error, not the student's
+	const limitProblems = validateExerciseLimits(ex, runnerConfig);
+	if (limitProblems.length > 0) {
+		res.status(500).json({ error: 'invalid exercise configuration', detail: limitProblems.join('; ') });
+		return null;
+	}
+
+	return { ex, submissionId, queueId, executorName, startedAt };
+}
+
+// Keep a finished run: the submission record, the user's progress and the
+// exercise statistics. Resolves the updated statistics.
+async function recordRun(req, { ex, submissionId, executorName, startedAt }, results) {
+	// Keep every run as a submission record, with short per-test summaries
+	// (the full output went to the client)
+	const submission = {
+		id: submissionId,
+		exerciseId: ex.id,
+		username: req.user ? req.user.username : null,
+		createdAt: new Date(startedAt).toISOString(),
+		script: req.body.script,
+		executor: executorName,
+		results: results.map(resultSummary),
+		passed: results.every(r => r.passed),
+		passedTests: results.filter(r => r.passed).length,
+		totalTests: results.length,
+		durationMs: Date.now() - startedAt
+	};
+	await submissionStore.append(submission);
+
+	// Logged-in users get their code and completion saved server-side
+	if (req.user) {
+		await progressStore.recordRun(req.user.username, ex.id, req.body.script, submission.passed, {
+			submissionId,
+			passedTests: submission.passedTests,
+			totalTests: submission.totalTests
+		});
+	}
+
+	// Track statistics
+	return statisticsStore.recordAttempt(ex.id, {
+		username: submission.username,
+		at: new Date().toISOString(),
+		passed: submission.passed,
+		failures: results.filter(r => !r.passed).map(test => ({
+			testNumber: test.testNumber,
+			reason: test.outcome
+		}))
 	});
-});
+}
 
 // Run tests for an exercise
-// Body: { script: "..." }
+// Body: { script: "...", queueId?, executor? } - executor (docker, local,
+// interpreter) overrides the configured backend and is for admins only
 app.post('/api/exercises/:id/run', async (req, res) => {
 	try {
-		const id = req.params.id;
-		const body = req.body;
-		if (!body || typeof body.script !== 'string') {
-			return res.status(400).json({ error: 'Missing script in request body' });
-		}
+		const prepared = await prepareRun(req, res);
+		if (!prepared) return;
+		const { ex, submissionId, queueId, executorName } = prepared;
+
+		const results = await runner.runSubmission(req.body.script, ex, queueId, executors.get(executorName));
+		const statistics = await recordRun(req, prepared, results);
+
+		res.json({ submissionId, executor: executorName, results, statistics });
+
+	} catch (err) {
+		sendError(res, err);
+	}
+});
 
+// Same as /run, but streams Server-Sent Events while the tests run:
+//   start       { submissionId, executor, totalTests }
+//   test-start  { testNumber }          a test case left the queue and is running
+//   test-result <result>                a test case finished (completion order)
+//   done        { submissionId, executor, results, statistics }
+//   error       { error, detail }       the run failed after the stream started
+// Request errors (missing script, unknown exercise, ...) are plain JSON responses as for /run.
+app.post('/api/exercises/:id/run/stream', async (req, res) => {
+	let stream = null;
+	try {
+		const prepared = await prepareRun(req, res);
+		if (!prepared) return;
+		const { ex, submissionId, queueId, executorName } = prepared;
+
+		stream = openEventStream(res);
+		stream.send('start', { submissionId, executor: executorName, totalTests: (ex.testCases || []).length });
+
+		const results = await runner.runSubmission(req.body.script, ex, queueId, executors.get(executorName), {
+			onTestStart: (testNumber) => stream.send('test-start', { testNumber }),
+			onTestResult: (result) => stream.send('test-result', result)
+		});
+		const statistics = await recordRun(req, prepared, results);
+
+		// The results went out one by one as test-result events: only the summary here
+		stream.send('done', {
+			submissionId,
+			executor: executorName,
+			passed: results.every(r => r.passed),
+			passedTests: results.filter(r => r.passed).length,
+			totalTests: results.length,
+			statistics
+		});
+	} catch (err) {
+		if (!stream) return res.status(500).json({ error: 'internal error', detail: err.message });
+		stream.send('error', { error: 'internal error', detail: err.message });
+	} finally {
+		if (stream) stream.close();
+	}
+});
+
+// Scratchpad: run the script once with the student's own arguments, stdin and a
+// choice of the exercise's fixtures, without test cases. Not graded and not
+// recorded (no submission, progress or statistics).
+// Body: { script, arguments?: [string], stdin?: string, fixtures?: [name], queueId?, executor? }
+app.post('/api/exercises/:id/scratch', async (req, res) => {
+	try {
+		const prepared = await prepareRun(req, res);
+		if (!prepared) return;
+		const { ex, queueId, executorName } = prepared;
+		const { args, stdin, fixtures } = parseScratchRequest(req.body, ex);
+
+		const result = await runner.runScratch(req.body.script, ex, {
+			args,
+			stdin,
+			fixtures,
+			queueId,
+			executor: executors.get(executorName)
+		});
+		res.json({ executor: executorName, ...result });
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// ---------- Accounts ----------
+// Body: { username, password, displayName? } -> { token, user }
+app.post('/api/auth/register', async (req, res) => {
+	try {
+		const { username, password, displayName } = req.body || {};
+		res.status(201).json(await auth.register(username, password, displayName));
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Body: { username, password } -> { token, user }
+app.post('/api/auth/login', async (req, res) => {
+	try {
+		const { username, password } = req.body || {};
+		res.json(await auth.login(username, password));
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+	try {
+		await auth.logout(req.authToken);
+		res.json({ ok: true });
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+	res.json({ user: req.user });
+});
+
+// ---------- Progress ----------
+// All progress of the logged-in user: { importedAt, exercises: { id: { code, completed, ... } } }
+app.get('/api/progress', requireAuth, async (req, res) => {
+	try {
+		res.json(await progressStore.get(req.user.username));
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Body: { code, reset? } -- only a passing run marks an exercise completed; reset clears it
+app.put('/api/progress/:exerciseId', requireAuth, async (req, res) => {
+	try {
+		const id = req.params.exerciseId;
 		const all = await loadExercisesInternal();
-		const ex = all.find(e => e.id === id);
-		if (!ex) return res.status(404).json({ error: 'exercise not found' });
-
-		// Create temp script
-		const { tmpdir, scriptPath } = await createTempScript(body.script);
-		//console.log(scriptPath)
-		// For each test case, run script in container with arguments
-		const results = [];
-		for (let i = 0; i < ex.testCases.length; i++) {
-			const tc = ex.testCases[i];
-			
-			// Copy any fixtures needed for this test case
-			if (tc.fixtures && Array.isArray(tc.fixtures)) {
-				await copyFixtures(tmpdir, tc.fixtures, tc.fixturePermissions);
-			}
-			
-			// run with args
-			//console.log("DEBUG: ",tc.input)
-			// IMPORTANT: arguments are provided as list of strings
-			const r = await runScriptInContainer(tmpdir, tc.arguments || [], tc.input || [], PER_TEST_TIMEOUT_MS);
-
-			// Compare output. Use exact match by default (including trailing newline)
-			// You can add more sophisticated matching (trim, regex, ignoring whitespace).
-const expected = normalizeOutput(tc.expectedOutput || '').trim();
-const actual = r.stdout.trim();
-
-// nullish-coalescing replacement for older Node: fallback to 0 when expectedExitCode is null/undefined
-const expectedExitCode = (tc.expectedExitCode != null) ? tc.expectedExitCode : 0;
-
-const passed = (!r.timedOut)
-  && (r.exitCode !== null)
-  && (String(r.exitCode) === String(expectedExitCode))
-  && (actual === expected);
-
-results.push({
-  testNumber: i + 1,
-  arguments: tc.arguments || [],
-  expectedOutput: expected,
-  expectedExitCode: expectedExitCode,
-  actualOutput: actual,
-  stderr: r.stderr,
-  exitCode: r.exitCode,
-  timedOut: r.timedOut,
-  error: r.error,
-  passed
-});
-//console.log(results)
+		if (!all.some(e => e.id === id)) return res.status(404).json({ error: 'exercise not found' });
+		const body = req.body || {};
+		const entry = await progressStore.saveCode(req.user.username, id, body.code, { reset: body.reset === true });
+		res.json(entry);
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// One-time import of localStorage progress after the first login
+// Body: { progress: { exerciseId: { code, completed, lastModified } } }
+app.post('/api/progress/import', requireAuth, async (req, res) => {
+	try {
+		const body = req.body || {};
+		if (!body.progress || typeof body.progress !== 'object') {
+			return res.status(400).json({ error: 'Missing progress in request body' });
 		}
+		const all = await loadExercisesInternal();
+		const imported = await progressStore.importLocal(req.user.username, body.progress, all.map(e => e.id));
+		res.json({ imported, progress: await progressStore.get(req.user.username) });
+	} catch (err) {
+		sendError(res, err);
+	}
+});
 
-		// cleanup
-		try {
-			// remove temp dir recursively
-			try {
-			  await removeRecursive(tmpdir);
-			} catch (e) {
-			  //console.error('Cleanup failed:', e);
-			}
-		} catch (e) {
-			// ignore cleanup errors but log
-			//console.error('Cleanup failed:', e);
+// ---------- Submission history ----------
+// Whose history a request is about: the logged-in user, or (instructors only) ?user=
+function historyOwner(req, res) {
+	const requested = req.query.user;
+	if (!requested || requested === req.user.username) return req.user.username;
+	if (req.user.role !== 'instructor' && req.user.role !== 'admin') {
+		res.status(403).json({ error: 'forbidden' });
+		return null;
+	}
+	return String(requested);
+}
+
+// Submissions of one user for an exercise, newest first (without scripts/results)
+app.get('/api/exercises/:id/submissions', requireAuth, async (req, res) => {
+	try {
+		const owner = historyOwner(req, res);
+		if (!owner) return;
+		res.json(await submissionStore.list(owner, req.params.id));
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// One full submission record (script and per-test results)
+app.get('/api/exercises/:id/submissions/:submissionId', requireAuth, async (req, res) => {
+	try {
+		const owner = historyOwner(req, res);
+		if (!owner) return;
+		const submission = await submissionStore.get(owner, req.params.id, req.params.submissionId);
+		if (!submission) return res.status(404).json({ error: 'submission not found' });
+		res.json(submission);
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Line diff between the scripts of two submissions (:from is the old side)
+app.get('/api/exercises/:id/submissions/:from/diff/:to', requireAuth, async (req, res) => {
+	try {
+		const owner = historyOwner(req, res);
+		if (!owner) return;
+		const [from, to] = await Promise.all([
+			submissionStore.get(owner, req.params.id, req.params.from),
+			submissionStore.get(owner, req.params.id, req.params.to)
+		]);
+		if (!from || !to) return res.status(404).json({ error: 'submission not found' });
+		res.json({
+			from: { id: from.id, createdAt: from.createdAt, passed: from.passed },
+			to: { id: to.id, createdAt: to.createdAt, passed: to.passed },
+			diff: OutputDiff.diffLines(from.script, to.script)
+		});
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// ---------- Exercise authoring ----------
+// Full exercises, solutions and test cases included, for instructors and admins
+// (frontend/admin.html). Saving checks the exercise first (400 with `problems`);
+// with ?validate=true the reference solution must also pass every test case
+// (422 with the `results` otherwise). An exercise's ETag is its version: edits
+// with If-Match fail with 409 once someone else saved it, and edits without one
+// still fail when it changes while the solution runs.
+
+// Everything wrong with an exercise that would stop it from being saved
+async function exerciseProblems(ex) {
+	return checkExerciseProblems(ex, { fixtureNames: await exerciseStore.fixtures(), runnerConfig });
+}
+
+// Run the reference solution against every test case; nothing is recorded
+async function runReferenceSolution(ex) {
+	const results = await runner.runSubmission(ex.solution, ex, uuidv4(), executors.get());
+	return { passed: results.every(r => r.passed), results };
+}
+
+// Check `ex` (and run its solution with ?validate=true), then save it with
+// `save(ex)` and send { exercise, validation }
+async function saveExercise(req, res, ex, save, status = 200) {
+	const problems = await exerciseProblems(ex);
+	if (problems.length > 0) {
+		return res.status(400).json({ error: 'invalid exercise', problems });
+	}
+	let validation = null;
+	if (req.query.validate === 'true') {
+		validation = await runReferenceSolution(ex);
+		if (!validation.passed) {
+			return res.status(422).json({ error: 'the solution does not pass every test case', results: validation.results });
 		}
+	}
+	const saved = await save(ex);
+	res.set('ETag', `"${exerciseVersion(saved)}"`);
+	res.status(status).json({ exercise: saved, validation });
+}
+
+// The exercise for :id, or sends 404 and returns null
+async function authoredExercise(req, res) {
+	const ex = await exerciseStore.get(req.params.id);
+	if (!ex) res.status(404).json({ error: 'exercise not found' });
+	return ex;
+}
+
+// The version named by If-Match, or `fallback` without one (or with If-Match: *)
+function requestedVersion(req, fallback = null) {
+	const header = req.get('If-Match');
+	if (!header || header.trim() === '*') return fallback;
+	return header.trim().replace(/^W\//, '').replace(/"/g, '');
+}
+
+// Index into testCases for :number (1-based, like testNumber in results), or
+// sends 404 and returns null
+function testCaseIndex(req, res, ex) {
+	const number = Number(req.params.number);
+	if (!Number.isInteger(number) || number < 1 || number > ex.testCases.length) {
+		res.status(404).json({ error: 'test case not found' });
+		return null;
+	}
+	return number - 1;
+}
+
+app.get('/api/admin/exercises', requireRole('instructor'), async (req, res) => {
+	try {
+		res.json(await exerciseStore.all());
+	} catch (err) {
+		sendError(res, err);
+	}
+});
 
-		// Track statistics
-		const allPassed = results.every(r => r.passed);
-		const stats = await loadStatistics();
-		
-		if (!stats[id]) {
-			stats[id] = {
-				totalAttempts: 0,
-				successfulAttempts: 0,
-				failedAttempts: 0,
-				lastAttempt: null,
-				failureReasons: {}
-			};
+// Names of the files in fixtures/, for the fixture picker
+app.get('/api/admin/fixtures', requireRole('instructor'), async (req, res) => {
+	try {
+		res.json(await exerciseStore.fixtures());
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Check an exercise and run its solution without saving it.
+// Body: the exercise. Responds { valid, problems, passed, results }.
+app.post('/api/admin/exercises/validate', requireRole('instructor'), async (req, res) => {
+	try {
+		const problems = await exerciseProblems(req.body);
+		if (problems.length > 0) {
+			return res.json({ valid: false, problems, passed: false, results: [] });
 		}
-		
-		stats[id].totalAttempts++;
-		stats[id].lastAttempt = new Date().toISOString();
-		
-		if (allPassed) {
-			stats[id].successfulAttempts++;
-		} else {
-			stats[id].failedAttempts++;
-			// Track failure reasons
-			const failedTests = results.filter(r => !r.passed);
-			failedTests.forEach(test => {
-				let reason = 'unknown';
-				if (test.timedOut) {
-					reason = 'timeout';
-				} else if (test.exitCode !== test.expectedExitCode) {
-					reason = 'wrong_exit_code';
-				} else if (test.actualOutput !== test.expectedOutput) {
-					reason = 'wrong_output';
-				} else if (test.error) {
-					reason = 'error';
-				}
-				stats[id].failureReasons[reason] = (stats[id].failureReasons[reason] || 0) + 1;
-			});
+		const { passed, results } = await runReferenceSolution(req.body);
+		res.json({ valid: passed, problems, passed, results });
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Run every reference solution and check the catalogue as a whole, like
+// `npm run validate-exercises`. Body (optional): { ids: [exerciseId, ...] } to
+// run only those. Responds with the report of lib/catalogue.js.
+app.post('/api/admin/exercises/validate-all', requireRole('instructor'), async (req, res) => {
+	try {
+		const ids = (req.body && req.body.ids) || [];
+		if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) {
+			return res.status(400).json({ error: 'ids must be a list of exercise ids' });
 		}
-		
-		await saveStatistics(stats);
+		const report = await checkCatalogue(await exerciseStore.all(), {
+			fixtureNames: await exerciseStore.fixtures(),
+			runner,
+			executor: executors.get(),
+			runnerConfig,
+			ids
+		});
+		res.json(report);
+	} catch (err) {
+		sendError(res, err);
+	}
+});
 
-		res.json({ results, statistics: stats[id] });
+app.get('/api/admin/exercises/:id', requireRole('instructor'), async (req, res) => {
+	try {
+		const ex = await authoredExercise(req, res);
+		if (!ex) return;
+		res.set('ETag', `"${exerciseVersion(ex)}"`);
+		res.json(ex);
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Body: the new exercise; 409 when its id is taken
+app.post('/api/admin/exercises', requireRole('instructor'), async (req, res) => {
+	try {
+		await saveExercise(req, res, req.body, ex => exerciseStore.create(ex), 201);
+	} catch (err) {
+		sendError(res, err);
+	}
+});
 
+// Body: the whole exercise; its id must stay the same
+app.put('/api/admin/exercises/:id', requireRole('instructor'), async (req, res) => {
+	try {
+		if (!req.body || req.body.id !== req.params.id) {
+			return res.status(400).json({ error: 'the id of an exercise cannot change' });
+		}
+		const current = await authoredExercise(req, res);
+		if (!current) return;
+		const version = requestedVersion(req, exerciseVersion(current));
+		await saveExercise(req, res, req.body, ex => exerciseStore.replace(req.params.id, ex, { version }));
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// The submission history and progress of the exercise are kept
+app.delete('/api/admin/exercises/:id', requireRole('instructor'), async (req, res) => {
+	try {
+		res.json({ deleted: await exerciseStore.remove(req.params.id, { version: requestedVersion(req) }) });
 	} catch (err) {
-		//console.error(err);
-		res.status(500).json({ error: 'internal error', detail: err.message });
+		sendError(res, err);
 	}
 });
 
+// Body: the test case to append
+app.post('/api/admin/exercises/:id/test-cases', requireRole('instructor'), async (req, res) => {
+	try {
+		const ex = await authoredExercise(req, res);
+		if (!ex) return;
+		const updated = { ...ex, testCases: [...ex.testCases, req.body] };
+		const version = requestedVersion(req, exerciseVersion(ex));
+		await saveExercise(req, res, updated, next => exerciseStore.replace(ex.id, next, { version }), 201);
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Body: the test case that replaces test :number
+app.put('/api/admin/exercises/:id/test-cases/:number', requireRole('instructor'), async (req, res) => {
+	try {
+		const ex = await authoredExercise(req, res);
+		if (!ex) return;
+		const index = testCaseIndex(req, res, ex);
+		if (index === null) return;
+		const testCases = ex.testCases.map((tc, i) => (i === index ? req.body : tc));
+		const version = requestedVersion(req, exerciseVersion(ex));
+		await saveExercise(req, res, { ...ex, testCases }, next => exerciseStore.replace(ex.id, next, { version }));
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+app.delete('/api/admin/exercises/:id/test-cases/:number', requireRole('instructor'), async (req, res) => {
+	try {
+		const ex = await authoredExercise(req, res);
+		if (!ex) return;
+		const index = testCaseIndex(req, res, ex);
+		if (index === null) return;
+		const testCases = ex.testCases.filter((tc, i) => i !== index);
+		const version = requestedVersion(req, exerciseVersion(ex));
+		await saveExercise(req, res, { ...ex, testCases }, next => exerciseStore.replace(ex.id, next, { version }));
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// ---------- Instructor dashboard ----------
+// Parse a ?from= / ?to= bound. A bare date (YYYY-MM-DD) as upper bound covers the whole day.
+function parseDateBound(value, endOfDay) {
+	if (!value) return null;
+	const text = String(value);
+	const time = Date.parse(text);
+	if (Number.isNaN(time)) {
+		const err = new Error(`Invalid date ${text}`);
+		err.status = 400;
+		throw err;
+	}
+	const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+	return new Date(endOfDay && dayOnly ? time + 24 * 60 * 60 * 1000 - 1 : time).toISOString();
+}
+
+// Per exercise and per student: attempts until first pass, most common failing
+// test, time spent and stuck students. ?chapter=, ?from=, ?to=, ?stuckAfter=, ?format=csv
+app.get('/api/dashboard', requireRole('instructor'), async (req, res) => {
+	try {
+		const filters = {
+			chapter: req.query.chapter ? String(req.query.chapter) : null,
+			from: parseDateBound(req.query.from, false),
+			to: parseDateBound(req.query.to, true),
+			stuckAfter: parseInt(req.query.stuckAfter, 10) || undefined
+		};
+		const [exercises, usernames, users] = await Promise.all([
+			loadExercisesInternal(),
+			submissionStore.users(),
+			auth.listUsers()
+		]);
+		const submissionsByUser = {};
+		for (const username of usernames) {
+			submissionsByUser[username] = {};
+			for (const exerciseId of await submissionStore.exerciseIds(username)) {
+				submissionsByUser[username][exerciseId] = await submissionStore.all(username, exerciseId);
+			}
+		}
+		const displayNames = {};
+		for (const user of users) displayNames[user.username] = user.displayName;
+
+		const dashboard = buildDashboard(exercises, submissionsByUser, displayNames, filters);
+		if (req.query.format === 'csv') {
+			res.type('text/csv');
+			res.attachment('bexercises-dashboard.csv');
+			return res.send(toCsv(dashboard.students));
+		}
+		res.json(dashboard);
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// ---------- Health ----------
+// Effective config (minus secrets) and the state of the configured executor (for
+// docker: availability, runner image presence and the container pool).
+// 200 when tests can run, 503 otherwise.
+app.get('/api/health', async (req, res) => {
+	try {
+		const executor = executors.get();
+		const { ok, ...executorHealth } = await executor.health();
+		res.status(ok ? 200 : 503).json({
+			status: ok ? 'ok' : 'degraded',
+			startedAt: serverStartedAt.toISOString(),
+			uptimeSeconds: Math.round((Date.now() - serverStartedAt.getTime()) / 1000),
+			executor: executor.name,
+			...executorHealth,
+			queue: jobQueue.stats(),
+			terminal: terminals.stats(),
+			config: publicConfig(config)
+		});
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+// Queue status: overall load, or the position of one run's next waiting test
+app.get('/api/queue/:queueId?', (req, res) => {
+	const stats = jobQueue.stats();
+	const queueId = req.params.queueId;
+	if (!queueId) {
+		return res.json(stats);
+	}
+	res.json({
+		...stats,
+		queueId,
+		position: jobQueue.positionOf(queueId),
+		pending: jobQueue.pendingFor(queueId)
+	});
+});
+
 // Get statistics for an exercise or all exercises
 app.get('/api/statistics/:id?', async (req, res) => {
-	const id = req.params.id;
-	const stats = await loadStatistics();
-	
-	if (id) {
-		// Return stats for specific exercise
-		res.json(stats[id] || {
-			totalAttempts: 0,
-			successfulAttempts: 0,
-			failedAttempts: 0,
-			lastAttempt: null,
-			failureReasons: {}
-		});
-	} else {
-		// Return all stats
-		res.json(stats);
+	try {
+		const id = req.params.id;
+		res.json(id ? await statisticsStore.get(id) : await statisticsStore.all());
+	} catch (err) {
+		sendError(res, err);
 	}
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-	//console.log(`Bash execution server listening on port ${PORT}`);
+// Report exercises whose limits or image the server would refuse to run, and
+// invalid reveal policies, hints or comparators
+loadExercisesInternal().then((all) => {
+	for (const ex of all) {
+		for (const problem of validateExerciseLimits(ex, runnerConfig)) {
+			console.error(`Exercise limits: ${problem}`);
+		}
+		for (const problem of validateExerciseReveal(ex)) {
+			console.error(`Exercise reveal policy: ${problem}`);
+		}
+		for (const problem of validateExerciseHints(ex)) {
+			console.error(`Exercise hints: ${problem}`);
+		}
+		for (const problem of validateExerciseComparators(ex)) {
+			console.error(`Exercise comparators: ${problem}`);
+		}
+	}
+}).catch((err) => console.error('Failed to check exercises:', err.message));
+
+// ---------- Interactive terminal ----------
+// WebSocket /api/terminal, JSON text messages. The client starts with
+//   { type: 'start', token, exerciseId, script, cols, rows }
+// and then sends { type: 'input', data } and { type: 'resize', cols, rows }.
+// The server answers { type: 'ready' }, { type: 'output', data }, and finally
+// { type: 'exit', reason, message } or { type: 'error', error } before closing.
+// The shell starts in a fresh workspace with the script (script.sh) and all of
+// the exercise's fixtures. Logged-in users only.
+const TERMINAL_HIGH_WATER = 1024 * 1024; // bytes waiting for the browser before output is paused
+
+function handleTerminalSocket(socket) {
+	let session = null;
+	let starting = false;
+	const send = (message) => {
+		if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+	};
+	const fail = (error) => {
+		send({ type: 'error', error });
+		socket.close();
+	};
+
+	socket.on('message', async (raw) => {
+		let message;
+		try {
+			message = JSON.parse(raw.toString());
+		} catch (err) {
+			return fail('invalid message');
+		}
+
+		if (session) {
+			if (message.type === 'input' && typeof message.data === 'string') session.write(message.data);
+			else if (message.type === 'resize') session.resize(message.cols, message.rows);
+			return;
+		}
+		if (starting) return;
+		if (message.type !== 'start') return fail('expected a start message');
+		starting = true;
+
+		let tmpdir = null;
+		try {
+			const user = await auth.userForToken(typeof message.token === 'string' ? message.token : null);
+			if (!user) return fail('log in to use the terminal');
+			if (typeof message.script !== 'string') return fail('missing script');
+			const all = await loadExercisesInternal();
+			const ex = all.find(e => e.id === message.exerciseId);
+			if (!ex) return fail('exercise not found');
+			if (validateExerciseLimits(ex, runnerConfig).length > 0) return fail('invalid exercise configuration');
+
+			({ tmpdir } = await runner.createTempScript(message.script));
+			const fixtures = exerciseFixtures(ex);
+			await runner.copyFixtures(tmpdir, fixtures.names, fixtures.permissions);
+			if (socket.readyState !== socket.OPEN) return removeWorkspace(tmpdir);
+
+			session = await terminals.open(user.username, {
+				workdir: tmpdir,
+				run: resolveLimits(ex, {}, runnerConfig),
+				cols: message.cols,
+				rows: message.rows,
+				cleanup: () => removeWorkspace(tmpdir)
+			});
+		} catch (err) {
+			if (tmpdir) await removeWorkspace(tmpdir);
+			return fail(err.status ? err.message : 'the terminal could not be started');
+		}
+
+		session.on('data', (data) => {
+			if (socket.readyState !== socket.OPEN) return;
+			socket.send(JSON.stringify({ type: 'output', data }), () => {
+				if (socket.bufferedAmount < TERMINAL_HIGH_WATER) session.resume();
+			});
+			if (socket.bufferedAmount >= TERMINAL_HIGH_WATER) session.pause();
+		});
+		session.on('close', (reason) => {
+			send({ type: 'exit', reason, message: CLOSE_MESSAGES[reason] });
+			socket.close();
+		});
+		if (socket.readyState !== socket.OPEN) return session.close('disconnected');
+		send({ type: 'ready' });
+	});
+
+	socket.on('close', () => {
+		if (session) session.close('disconnected');
+	});
+	socket.on('error', () => { /* 'close' follows */ });
+}
+
+const PORT = config.port;
+const server = app.listen(PORT, () => {
+	// Start the configured executor (e.g. fill the container pool)
+	executors.get();
+	// Remove terminal containers left over from a crash
+	terminals.start();
 });
+const terminalSockets = new WebSocketServer({ server, path: '/api/terminal', maxPayload: 256 * 1024 });
+terminalSockets.on('connection', handleTerminalSocket);
+
+// Don't leave pooled or terminal containers running when the server stops. Repeated signals
+// (a second Ctrl-C, a supervisor signalling the whole process group) must not cut that short.
+let shuttingDown = false;
+for (const signal of ['SIGINT', 'SIGTERM']) {
+	process.on(signal, () => {
+		if (shuttingDown) return;
+		shuttingDown = true;
+		Promise.all([executors.shutdown(), terminals.shutdown()]).finally(() => process.exit(0));
+	});
+}
 
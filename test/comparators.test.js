@@ -0,0 +1,111 @@
+// test/comparators.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	resolveComparator,
+	checkComparator,
+	validateExerciseComparators,
+	compareOutput
+} = require('../lib/comparators');
+
+test('defaults to "trim"', () => {
+	assert.deepEqual(resolveComparator(undefined), { type: 'trim', options: {} });
+	assert.equal(compareOutput('hello\n', '  hello  ', undefined).passed, true);
+	assert.equal(compareOutput('hello', 'Hello', undefined).passed, false);
+});
+
+test('"exact" keeps whitespace and newlines', () => {
+	assert.equal(compareOutput('a\n', 'a\n', 'exact').passed, true);
+	assert.equal(compareOutput('a\n', 'a', 'exact').passed, false);
+});
+
+test('"trim-trailing" ignores trailing whitespace per line and trailing empty lines', () => {
+	assert.equal(compareOutput('a\nb', 'a  \nb\t\n\n', 'trim-trailing').passed, true);
+	assert.equal(compareOutput('a\nb', ' a\nb', 'trim-trailing').passed, false);
+});
+
+test('"ignore-case" and the ignoreCase option', () => {
+	assert.equal(compareOutput('Hello', 'hELLO\n', 'ignore-case').passed, true);
+	assert.equal(compareOutput('Hello', 'hello', { type: 'exact', ignoreCase: true }).passed, true);
+});
+
+test('"regex" matches the whole output unless fullMatch is false', () => {
+	assert.equal(compareOutput('\\d+ files', '12 files\n', 'regex').passed, true);
+	assert.equal(compareOutput('\\d+', 'found 12 files', 'regex').passed, false);
+	assert.equal(compareOutput('\\d+', 'found 12 files', { type: 'regex', fullMatch: false }).passed, true);
+	assert.equal(compareOutput('done', 'DONE', { type: 'regex', ignoreCase: true }).passed, true);
+});
+
+test('"unordered-lines" accepts the same lines in any order', () => {
+	assert.equal(compareOutput('a\nb\nc', 'c\na \nb\n', 'unordered-lines').passed, true);
+	assert.equal(compareOutput('a\nb', 'a\na', 'unordered-lines').passed, false);
+});
+
+test('"unordered-lines" with ignoreCase sorts lines by their case-folded form', () => {
+	const spec = { type: 'unordered-lines', ignoreCase: true };
+	assert.equal(compareOutput('B\na', 'A\nb', spec).passed, true);
+	assert.equal(compareOutput('apple\nBanana\ncherry', 'Cherry\nAPPLE\nbanana', spec).passed, true);
+});
+
+test('"numeric" compares numbers within the tolerance and other tokens exactly', () => {
+	assert.equal(compareOutput('pi 3.14159', 'pi 3.1416', { type: 'numeric', tolerance: 0.001 }).passed, true);
+	assert.equal(compareOutput('pi 3.14159', 'pi 3.15', { type: 'numeric', tolerance: 0.001 }).passed, false);
+	assert.equal(compareOutput('pi 3', 'PI 3', 'numeric').passed, false);
+	assert.equal(compareOutput('1000', '1009', { type: 'numeric', tolerance: 0.01, relative: true }).passed, true);
+	assert.equal(compareOutput('1 2', '1 2 3', 'numeric').passed, false);
+});
+
+test('checkComparator reports invalid specs', () => {
+	assert.deepEqual(checkComparator('trim'), []);
+	assert.deepEqual(checkComparator(undefined), []);
+	assert.deepEqual(checkComparator('fuzzy'), ['Unknown comparator "fuzzy"']);
+	assert.deepEqual(checkComparator(['trim']), ['must be a type name or an object with a type']);
+	assert.deepEqual(checkComparator({ type: 'numeric', tolerance: '0.1' }), ['tolerance must be a number of at least 0']);
+	assert.deepEqual(checkComparator({ type: 'numeric', tolerance: -1 }), ['tolerance must be a number of at least 0']);
+	assert.deepEqual(checkComparator({ type: 'exact', ignoreCase: 'yes' }), ['ignoreCase must be true or false']);
+	assert.equal(checkComparator('regex', '(unclosed').length, 1);
+	assert.deepEqual(checkComparator('regex', 'fine'), []);
+});
+
+test('compareOutput fails a test with an invalid spec instead of throwing', () => {
+	const result = compareOutput('1', '1', { type: 'numeric', tolerance: 'abc' });
+	assert.equal(result.passed, false);
+	assert.match(result.error, /^invalid comparator: tolerance/);
+
+	const unknown = compareOutput('a', 'a', 'fuzzy');
+	assert.equal(unknown.passed, false);
+	assert.match(unknown.error, /Unknown comparator "fuzzy"/);
+});
+
+test('validateExerciseComparators names the exercise, test and field', () => {
+	const exercise = {
+		id: 'ex1',
+		testCases: [
+			{ expectedOutput: 'ok' },
+			{ expectedOutput: '(', comparator: 'regex' },
+			{ stderrComparator: 'nope', expectedFiles: [{ path: 'out.txt', content: 'x', comparator: { type: 'exact', fullMatch: 1 } }] }
+		]
+	};
+	const problems = validateExerciseComparators(exercise);
+	assert.equal(problems.length, 3);
+	assert.match(problems[0], /^ex1 test 2 comparator: invalid regex pattern/);
+	assert.equal(problems[1], 'ex1 test 3 stderrComparator: Unknown comparator "nope"');
+	assert.equal(problems[2], 'ex1 test 3 expectedFiles[0] comparator: fullMatch must be true or false');
+});
+
+test('diffable says whether a line diff of the compared forms makes sense', () => {
+	assert.equal(compareOutput('a', 'b', undefined).diffable, true);
+	assert.equal(compareOutput('b\na', 'a\nc', 'unordered-lines').diffable, true);
+	assert.equal(compareOutput('a', 'b', 'regex').diffable, false);
+	assert.equal(compareOutput('1.0', '2.0', 'numeric').diffable, false);
+	assert.equal(compareOutput('a', 'B', 'ignore-case').diffable, false);
+	assert.equal(compareOutput('a', 'B', { type: 'trim-trailing', ignoreCase: true }).diffable, false);
+	assert.equal(compareOutput('a', 'a', 'fuzzy').diffable, false);
+});
+
+test('"unordered-lines" shows both sides sorted, so a diff marks only missing and extra lines', () => {
+	const result = compareOutput('cherry\napple\nbanana', 'banana\ncherry\ndate\n', 'unordered-lines');
+	assert.equal(result.expected, 'apple\nbanana\ncherry');
+	assert.equal(result.actual, 'banana\ncherry\ndate');
+});
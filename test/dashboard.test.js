@@ -0,0 +1,100 @@
+// test/dashboard.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDashboard, toCsv } = require('../lib/dashboard');
+
+const exercises = [
+	{ id: 'ex1', title: 'First', chapter: 'Basics', order: 1 },
+	{ id: 'ex2', title: 'Second', order: 2 }
+];
+
+function submission(minute, passed, failingTests = []) {
+	return {
+		createdAt: new Date(Date.UTC(2025, 0, 1, 10, minute)).toISOString(),
+		passed,
+		results: failingTests.map(testNumber => ({ testNumber, passed: false }))
+	};
+}
+
+const submissionsByUser = {
+	alice: {
+		// Out of order on purpose: rows are built oldest first
+		ex1: [submission(10, true), submission(0, false, [2]), submission(5, false, [2, 3])]
+	},
+	bob: {
+		ex1: [submission(0, false, [1]), submission(1, false, [3]), submission(2, false, [3])],
+		ex2: [submission(0, true)]
+	}
+};
+
+test('one row per exercise and student, sorted by username', () => {
+	const { students } = buildDashboard(exercises, submissionsByUser, { alice: 'Alice A.' }, { stuckAfter: 3 });
+	assert.deepEqual(students.map(r => `${r.exerciseId} ${r.username}`), ['ex1 alice', 'ex1 bob', 'ex2 bob']);
+
+	const [alice, bob] = students;
+	assert.equal(alice.displayName, 'Alice A.');
+	assert.equal(alice.attempts, 3);
+	assert.equal(alice.failedAttempts, 2);
+	assert.equal(alice.attemptsUntilFirstPass, 3);
+	assert.equal(alice.mostCommonFailingTest, 2);
+	assert.equal(alice.timeSpentMinutes, 10);
+	assert.equal(alice.stuck, false);
+
+	assert.equal(bob.displayName, 'bob');
+	assert.equal(bob.passed, false);
+	assert.equal(bob.attemptsUntilFirstPass, null);
+	assert.equal(bob.mostCommonFailingTest, 3);
+	assert.equal(bob.stuck, true);
+	assert.equal(students[2].chapter, 'Uncategorized');
+});
+
+test('per-exercise summaries', () => {
+	const { exercises: summaries } = buildDashboard(exercises, submissionsByUser, {}, { stuckAfter: 3 });
+	assert.deepEqual(summaries[0], {
+		exerciseId: 'ex1',
+		exerciseTitle: 'First',
+		chapter: 'Basics',
+		order: 1,
+		students: 2,
+		studentsPassed: 1,
+		totalAttempts: 6,
+		avgAttemptsUntilFirstPass: 3,
+		mostCommonFailingTest: 3,
+		avgTimeSpentMinutes: 6,
+		stuckStudents: ['bob']
+	});
+	assert.equal(summaries[1].studentsPassed, 1);
+});
+
+test('breaks longer than the session gap are not counted as time spent', () => {
+	const byUser = { carol: { ex1: [submission(0, false), submission(45, false), submission(50, true)] } };
+	const [row] = buildDashboard(exercises, byUser).students;
+	assert.equal(row.timeSpentMinutes, 5);
+});
+
+test('filters by chapter and date range', () => {
+	const byChapter = buildDashboard(exercises, submissionsByUser, {}, { chapter: 'Uncategorized' });
+	assert.deepEqual(byChapter.exercises.map(s => s.exerciseId), ['ex2']);
+
+	const byDate = buildDashboard(exercises, submissionsByUser, {}, { from: '2025-01-01T10:02:00Z', to: '2025-01-01T10:06:00Z' });
+	assert.deepEqual(byDate.students.map(r => `${r.exerciseId} ${r.username} ${r.attempts}`), ['ex1 alice 1', 'ex1 bob 1']);
+	assert.equal(byDate.filters.stuckAfter, 5);
+});
+
+test('toCsv quotes separators and defuses spreadsheet formulas', () => {
+	const csv = toCsv([{
+		exerciseId: 'ex1',
+		exerciseTitle: 'Loops, "for" and while',
+		username: 'mallory',
+		displayName: '=HYPERLINK("http://evil")',
+		attempts: 2,
+		mostCommonFailingTest: null,
+		passed: false
+	}]);
+	const [header, row, end] = csv.split('\r\n');
+	assert.ok(header.startsWith('exerciseId,exerciseTitle,chapter,username,displayName,'));
+	assert.equal(end, '');
+	assert.ok(row.startsWith('ex1,"Loops, ""for"" and while",,mallory,"\'=HYPERLINK(""http://evil"")",2,,false,'));
+	assert.equal(toCsv([{ displayName: '-1', attempts: -1 }]).split('\r\n')[1].split(',').slice(4, 6).join(','), '"\'-1",-1');
+});
@@ -0,0 +1,52 @@
+// test/diff.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OutputDiff = require('../frontend/diff');
+
+test('splitLines remembers a missing final newline', () => {
+	assert.deepEqual(OutputDiff.splitLines('a\nb\n'), { lines: ['a', 'b'], missingFinalNewline: false });
+	assert.deepEqual(OutputDiff.splitLines('a\nb'), { lines: ['a', 'b'], missingFinalNewline: true });
+	assert.deepEqual(OutputDiff.splitLines(''), { lines: [], missingFinalNewline: false });
+	assert.deepEqual(OutputDiff.splitLines(null), { lines: [], missingFinalNewline: false });
+});
+
+test('diffSequences keeps common elements and marks the rest', () => {
+	const ops = OutputDiff.diffSequences(['a', 'b', 'c'], ['a', 'x', 'c']);
+	assert.deepEqual(ops.map(op => `${op.type} ${op.value}`), ['equal a', 'removed b', 'added x', 'equal c']);
+	assert.deepEqual(ops[2], { type: 'added', value: 'x', oldIndex: null, newIndex: 1 });
+});
+
+test('diffChars splits a line into equal and changed runs', () => {
+	assert.deepEqual(OutputDiff.diffChars('cat', 'cut'), [
+		{ type: 'equal', text: 'c' },
+		{ type: 'removed', text: 'a' },
+		{ type: 'added', text: 'u' },
+		{ type: 'equal', text: 't' }
+	]);
+});
+
+test('diffLines of equal outputs is identical', () => {
+	const diff = OutputDiff.diffLines('one\ntwo\n', 'one\ntwo\n');
+	assert.equal(diff.identical, true);
+	assert.deepEqual(diff.lines.map(l => [l.type, l.oldLine, l.newLine]), [['equal', 1, 1], ['equal', 2, 2]]);
+});
+
+test('diffLines pairs changed lines with a character diff', () => {
+	const diff = OutputDiff.diffLines('one\ntwo\nthree\n', 'one\ntoo\nthree\nfour\n');
+	assert.equal(diff.identical, false);
+	assert.deepEqual(diff.lines.map(l => `${l.type} ${l.text}`), [
+		'equal one', 'removed two', 'added too', 'equal three', 'added four'
+	]);
+	assert.deepEqual(diff.lines[1].chars, [{ type: 'equal', text: 't' }, { type: 'removed', text: 'w' }, { type: 'equal', text: 'o' }]);
+	assert.deepEqual(diff.lines[2].chars, [{ type: 'equal', text: 't' }, { type: 'added', text: 'o' }, { type: 'equal', text: 'o' }]);
+	assert.equal(diff.lines[4].chars, undefined); // nothing removed to pair it with
+});
+
+test('diffLines tells a missing final newline apart', () => {
+	const diff = OutputDiff.diffLines('done\n', 'done');
+	assert.equal(diff.identical, false);
+	assert.equal(diff.lines.every(l => l.type === 'equal'), true);
+	assert.equal(diff.expectedMissingFinalNewline, false);
+	assert.equal(diff.actualMissingFinalNewline, true);
+});
@@ -0,0 +1,38 @@
+// test/exercise-store.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkTestCase } = require('../lib/exercise-store');
+
+test('a test case with valid expectedFiles has no problems', () => {
+	const tc = {
+		expectedOutput: '',
+		expectedFiles: [
+			{ path: 'out.txt', content: 'done\n', comparator: 'trim', mode: 420 },
+			{ path: 'tmp.txt', exists: false }
+		]
+	};
+	assert.deepEqual(checkTestCase(tc, 'ex1 test 1', null), []);
+});
+
+test('expectedFiles entries need a path', () => {
+	assert.deepEqual(checkTestCase({ expectedFiles: [{ content: 'x' }] }, 'ex1 test 1', null), [
+		'ex1 test 1 expectedFiles must be a list of objects with a path'
+	]);
+});
+
+test('expectedFiles entries are checked field by field', () => {
+	const tc = {
+		expectedFiles: [
+			{ path: 'a', mode: 'abc' },
+			{ path: 'b', content: 3, exists: 'no' },
+			{ path: 'c', size: 10 }
+		]
+	};
+	assert.deepEqual(checkTestCase(tc, 'ex1 test 2', null), [
+		'ex1 test 2 expectedFiles[0] mode must be a mode from 0 to 511 (0o777)',
+		'ex1 test 2 expectedFiles[1] content must be a string',
+		'ex1 test 2 expectedFiles[1] exists must be true or false',
+		'ex1 test 2 expectedFiles[2] has an unknown setting "size"'
+	]);
+});
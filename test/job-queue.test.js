@@ -0,0 +1,71 @@
+// test/job-queue.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue } = require('../lib/job-queue');
+
+// A task that finishes when `release()` is called
+function deferred() {
+	let release;
+	const done = new Promise(resolve => { release = resolve; });
+	return { task: () => done, release };
+}
+
+test('runs at most `concurrency` jobs at once, in arrival order', async () => {
+	const queue = new JobQueue(2);
+	const started = [];
+	const jobs = [1, 2, 3].map(n => {
+		const d = deferred();
+		const result = queue.push(() => { started.push(n); return d.task(); });
+		return { ...d, result };
+	});
+
+	await Promise.resolve();
+	assert.deepEqual(started, [1, 2]);
+	assert.deepEqual(queue.stats(), { concurrency: 2, active: 2, waiting: 1 });
+
+	jobs[0].release('first');
+	assert.equal(await jobs[0].result, 'first');
+	await new Promise(setImmediate);
+	assert.deepEqual(started, [1, 2, 3]);
+
+	jobs[1].release();
+	jobs[2].release();
+	await Promise.all(jobs.map(job => job.result));
+	assert.deepEqual(queue.stats(), { concurrency: 2, active: 0, waiting: 0 });
+});
+
+test('a failing job rejects its own promise and frees its slot', async () => {
+	const queue = new JobQueue(1);
+	const failed = queue.push(async () => { throw new Error('boom'); });
+	const next = queue.push(async () => 'ok');
+	await assert.rejects(failed, /boom/);
+	assert.equal(await next, 'ok');
+});
+
+test('reports the position and pending jobs of a tag', async () => {
+	const queue = new JobQueue(1);
+	const running = deferred();
+	const jobs = [
+		queue.push(running.task, 'a'),
+		queue.push(async () => {}, 'b'),
+		queue.push(async () => {}, 'c'),
+		queue.push(async () => {}, 'c')
+	];
+
+	assert.equal(queue.positionOf('a'), 0); // running, not waiting
+	assert.equal(queue.positionOf('b'), 1);
+	assert.equal(queue.positionOf('c'), 2);
+	assert.equal(queue.pendingFor('c'), 2);
+	assert.equal(queue.positionOf('unknown'), 0);
+
+	running.release();
+	await Promise.all(jobs);
+	assert.equal(queue.pendingFor('c'), 0);
+});
+
+test('a concurrency below 1 or not a number means 1', () => {
+	assert.equal(new JobQueue(0).concurrency, 1);
+	assert.equal(new JobQueue('many').concurrency, 1);
+	assert.equal(new JobQueue('3').concurrency, 3);
+});
@@ -0,0 +1,64 @@
+// test/limits.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	DEFAULT_RUNNER_CONFIG,
+	parseMemory,
+	validateExerciseLimits,
+	resolveLimits,
+	loadRunnerConfig,
+	dockerLimitArgs
+} = require('../lib/limits');
+
+test('parseMemory reads Docker-style sizes', () => {
+	assert.equal(parseMemory('256m'), 256 * 1024 * 1024);
+	assert.equal(parseMemory('1g'), 1024 * 1024 * 1024);
+	assert.equal(parseMemory('512kb'), 512 * 1024);
+	assert.equal(parseMemory('1.5G'), 1.5 * 1024 * 1024 * 1024);
+	assert.equal(parseMemory(1000), 1000);
+	assert.ok(Number.isNaN(parseMemory('lots')));
+});
+
+test('resolveLimits: test case over exercise over server defaults', () => {
+	const runnerConfig = loadRunnerConfig({ allowedImages: ['awk:latest'] });
+	const exercise = { limits: { timeoutMs: 60000, pids: 64 }, image: 'awk:latest' };
+	const testCase = { limits: { pids: 32 } };
+	assert.deepEqual(resolveLimits(exercise, testCase, runnerConfig), {
+		image: 'awk:latest',
+		limits: { ...DEFAULT_RUNNER_CONFIG.defaults, timeoutMs: 60000, pids: 32 }
+	});
+	assert.equal(resolveLimits({}, {}, runnerConfig).image, DEFAULT_RUNNER_CONFIG.image);
+});
+
+test('validateExerciseLimits reports values over the maxima and unknown images', () => {
+	const runnerConfig = loadRunnerConfig({});
+	const exercise = {
+		id: 'ex1',
+		limits: { memory: '2g', timeoutMs: 1.5 },
+		testCases: [
+			{ limits: { cpus: 0.5, speed: 3 } },
+			{ image: 'other:latest' }
+		]
+	};
+	assert.deepEqual(validateExerciseLimits(exercise, runnerConfig), [
+		'ex1: memory 2g exceeds the server maximum 1g',
+		'ex1: timeoutMs must be a positive integer',
+		'ex1 test 1: unknown limit "speed"',
+		'ex1 test 2: image "other:latest" is not in the server\'s allowedImages'
+	]);
+	assert.deepEqual(validateExerciseLimits({ id: 'ok', testCases: [{}] }, runnerConfig), []);
+});
+
+test('loadRunnerConfig rejects defaults above the maxima', () => {
+	assert.throws(
+		() => loadRunnerConfig({ defaults: { pids: 1024 } }),
+		err => err.problems.length === 1 && /runner\.defaults: pids 1024 exceeds/.test(err.problems[0])
+	);
+	assert.throws(() => loadRunnerConfig({ allowedImages: 'awk' }), /allowedImages must be an array/);
+});
+
+test('dockerLimitArgs leaves out --cpus when it is not set', () => {
+	assert.deepEqual(dockerLimitArgs({ memory: '256m', pids: 128, cpus: null }), ['--memory', '256m', '--pids-limit', '128']);
+	assert.deepEqual(dockerLimitArgs({ memory: '1g', pids: 64, cpus: 1.5 }), ['--memory', '1g', '--pids-limit', '64', '--cpus', '1.5']);
+});
@@ -0,0 +1,79 @@
+// test/local-executor.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createExecutor } = require('../lib/executors');
+const { LocalExecutor } = require('../lib/local-executor');
+const { DEFAULT_RUNNER_CONFIG } = require('../lib/limits');
+
+// Whether bwrap is installed and can create its namespaces here
+function bwrapWorks() {
+	try {
+		execFileSync('bwrap', ['--ro-bind', '/', '/', '--unshare-all', 'true'], { stdio: 'ignore', timeout: 5000 });
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+// A server directory with a catalogue, a config file and a workspace holding `script`
+function serverDir(t, script) {
+	const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bex-local-'));
+	t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+	fs.mkdirSync(path.join(root, 'catalogue'));
+	fs.writeFileSync(path.join(root, 'catalogue', 'exercises-internal.json'), '[{"solution": "SECRET-SOLUTION"}]');
+	fs.writeFileSync(path.join(root, 'config.json'), '{"auth": {"secret": "SECRET-CONFIG"}}');
+	fs.mkdirSync(path.join(root, 'tmp', 'bex-workspace'), { recursive: true });
+	fs.writeFileSync(path.join(root, 'tmp', 'bex-workspace', 'script.sh'), script);
+	return {
+		root,
+		workdir: path.join(root, 'tmp', 'bex-workspace'),
+		config: {
+			executor: { backend: 'local', sandbox: 'bwrap' },
+			tmpDirPrefix: path.join(root, 'tmp', 'bex-'),
+			dataDir: path.join(root, 'data'),
+			exercisesPath: path.join(root, 'catalogue', 'exercises-internal.json'),
+			configPath: path.join(root, 'config.json')
+		}
+	};
+}
+
+test('the local executor hides the workspaces, data, catalogue and config file', (t) => {
+	const { root, config } = serverDir(t, '');
+	assert.deepEqual(createExecutor('local', config).hiddenPaths, [
+		path.join(root, 'tmp'),
+		path.join(root, 'data'),
+		path.join(root, 'catalogue'),
+		path.join(root, 'config.json')
+	]);
+	assert.equal(createExecutor('local', { ...config, configPath: null }).hiddenPaths.length, 3);
+});
+
+test('directories are masked with a tmpfs, files with /dev/null, missing paths not at all', (t) => {
+	const { root } = serverDir(t, '');
+	const executor = new LocalExecutor({
+		sandbox: 'bwrap',
+		hiddenPaths: [path.join(root, 'catalogue'), path.join(root, 'config.json'), path.join(root, 'data')]
+	});
+	assert.deepEqual(executor._maskArgs(), [
+		'--tmpfs', path.join(root, 'catalogue'),
+		'--ro-bind', '/dev/null', path.join(root, 'config.json')
+	]);
+});
+
+test('a sandboxed script cannot read the catalogue or the config file', { skip: !bwrapWorks() && 'bwrap is not available' }, async (t) => {
+	const { root, workdir, config } = serverDir(t, [
+		`cat ${path.join(root, 'catalogue', 'exercises-internal.json')}`,
+		`cat ${path.join(root, 'config.json')}`,
+		'echo done'
+	].join('\n'));
+	const result = await createExecutor('local', config).run(workdir, {
+		run: { limits: DEFAULT_RUNNER_CONFIG.defaults }
+	});
+	assert.equal(result.stdout, 'done\n');
+	assert.doesNotMatch(result.stdout + result.stderr, /SECRET/);
+});
@@ -0,0 +1,46 @@
+// test/outcomes.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Outcomes = require('../frontend/outcomes');
+
+// A failed result that matches everything, so each test changes one field
+const failed = fields => ({ passed: false, exitCode: 0, expectedExitCode: 0, outputMatched: true, ...fields });
+
+test('a passed result is "passed" whatever else it says', () => {
+	assert.equal(Outcomes.classify({ passed: true, timedOut: true }), 'passed');
+});
+
+test('each failure field maps to its outcome', () => {
+	assert.equal(Outcomes.classify(failed({ error: 'docker failed' })), 'infrastructure_error');
+	assert.equal(Outcomes.classify(failed({ timedOut: true })), 'timeout');
+	assert.equal(Outcomes.classify(failed({ oomKilled: true })), 'oom_killed');
+	assert.equal(Outcomes.classify(failed({ pidsExhausted: true })), 'pids_exhausted');
+	assert.equal(Outcomes.classify(failed({ truncated: true })), 'output_limit');
+	assert.equal(Outcomes.classify(failed({ syntaxError: 'unexpected end of file' })), 'syntax_error');
+	assert.equal(Outcomes.classify(failed({ exitCode: 2 })), 'wrong_exit_code');
+	assert.equal(Outcomes.classify(failed({ outputMatched: false })), 'wrong_output');
+	assert.equal(Outcomes.classify(failed({ stderrMatched: false })), 'wrong_stderr');
+	assert.equal(Outcomes.classify(failed({ fileResults: [{ passed: true }, { passed: false }] })), 'wrong_files');
+	assert.equal(Outcomes.classify(failed({})), 'unknown');
+});
+
+test('the first outcome that applies wins, in the order of FAILURES', () => {
+	assert.equal(Outcomes.classify(failed({ timedOut: true, outputMatched: false })), 'timeout');
+	assert.equal(Outcomes.classify(failed({ error: 'x', timedOut: true })), 'infrastructure_error');
+	assert.equal(Outcomes.classify(failed({ exitCode: 1, outputMatched: false })), 'wrong_exit_code');
+	assert.deepEqual(Outcomes.FAILURES.slice(0, 2), ['infrastructure_error', 'timeout']);
+});
+
+test('exit code 127 is "command not found" unless it was expected', () => {
+	assert.equal(Outcomes.classify(failed({ exitCode: 127 })), 'command_not_found');
+	assert.equal(Outcomes.classify(failed({ exitCode: 127, expectedExitCode: 127, outputMatched: false })), 'wrong_output');
+	assert.equal(Outcomes.classify(failed({ exitCode: 0, expectedExitCode: '0', outputMatched: false })), 'wrong_output');
+});
+
+test('info has a label for every outcome and a fallback for unknown ones', () => {
+	for (const outcome of ['passed', ...Outcomes.FAILURES]) {
+		assert.ok(Outcomes.info(outcome).label, outcome);
+	}
+	assert.deepEqual(Outcomes.info('mystery'), { icon: '❓', label: 'mystery', description: '' });
+});
@@ -0,0 +1,44 @@
+// test/process.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { testCaseStdin, runProcess } = require('../lib/process');
+
+const text = chunks => chunks.map(chunk => chunk.data.toString('utf8'));
+
+test('no input means an empty stdin', () => {
+	assert.deepEqual(testCaseStdin({}), []);
+	assert.deepEqual(testCaseStdin({ input: [] }), []);
+});
+
+test('input lines are sent in one chunk, each followed by a newline', () => {
+	const chunks = testCaseStdin({ input: ['first', '$HOME "quoted" \\n'] });
+	assert.deepEqual(text(chunks), ['first\n$HOME "quoted" \\n\n']);
+	assert.equal(chunks[0].delayMs, 0);
+});
+
+test('with inputDelayMs every line is a chunk of its own', () => {
+	const chunks = testCaseStdin({ input: ['a', 'b'], inputDelayMs: 50 });
+	assert.deepEqual(text(chunks), ['a\n', 'b\n']);
+	assert.deepEqual(chunks.map(chunk => chunk.delayMs), [50, 50]);
+});
+
+test('stdin is sent exactly as is and wins over input', () => {
+	assert.deepEqual(text(testCaseStdin({ stdin: 'no newline', input: ['ignored'] })), ['no newline']);
+	assert.deepEqual(testCaseStdin({ stdin: '' }).map(chunk => chunk.data.length), [0]);
+});
+
+test('stdinBase64 is decoded to raw bytes and wins over stdin', () => {
+	const chunks = testCaseStdin({ stdinBase64: Buffer.from([0, 255, 10]).toString('base64'), stdin: 'ignored' });
+	assert.deepEqual([...chunks[0].data], [0, 255, 10]);
+});
+
+test('the chunks reach the script through its stdin pipe', async () => {
+	const result = await runProcess('bash', ['-c', 'while read -r line; do echo "got $line"; done'], {
+		stdin: testCaseStdin({ input: ['one', 'two'], inputDelayMs: 10 }),
+		timeoutMs: 10000,
+		outputBytes: 1024
+	});
+	assert.equal(result.stdout, 'got one\ngot two\n');
+	assert.equal(result.exitCode, 0);
+});
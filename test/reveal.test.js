@@ -0,0 +1,82 @@
+// test/reveal.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	checkPolicy,
+	validateExerciseHints,
+	resolvePolicy,
+	revealStatus,
+	hintStatus
+} = require('../lib/reveal');
+
+const student = { username: 'alice', role: 'student' };
+const instructor = { username: 'bob', role: 'instructor' };
+
+test('checkPolicy reports what is wrong with a policy', () => {
+	assert.deepEqual(checkPolicy({ policy: 'after-pass' }, 'reveal'), []);
+	assert.deepEqual(checkPolicy({ policy: 'after-attempts', attempts: 0 }, 'reveal'), ['reveal.attempts must be a positive whole number']);
+	assert.equal(checkPolicy({ policy: 'after-deadline', deadline: 'soon' }, 'reveal').length, 1);
+	assert.deepEqual(checkPolicy({ policy: 'sometimes', extra: 1 }, 'reveal'), [
+		'unknown setting "reveal.extra"',
+		'reveal.policy must be one of after-pass, after-attempts, after-deadline, instructor-only'
+	]);
+	assert.deepEqual(checkPolicy('after-pass', 'reveal'), ['reveal must be an object']);
+});
+
+test('resolvePolicy prefers the exercise policy over the default', () => {
+	const defaults = { policy: 'after-pass' };
+	assert.equal(resolvePolicy({}, defaults), defaults);
+	assert.deepEqual(resolvePolicy({ reveal: { policy: 'instructor-only' } }, defaults), { policy: 'instructor-only' });
+});
+
+test('after-pass: only once the student passed', () => {
+	const reveal = { policy: 'after-pass' };
+	assert.equal(revealStatus(reveal, student, { passed: false }).allowed, false);
+	assert.deepEqual(revealStatus(reveal, student, { passed: true }), { allowed: true, policy: 'after-pass', reason: null });
+	assert.equal(revealStatus(reveal, null, { passed: true }).allowed, false);
+});
+
+test('after-attempts: after enough failed runs or a pass', () => {
+	const reveal = { policy: 'after-attempts', attempts: 3 };
+	const early = revealStatus(reveal, student, { attempts: 2 });
+	assert.equal(early.allowed, false);
+	assert.deepEqual(early.attempts, { required: 3, made: 2 });
+	assert.match(early.reason, /after 3 failed attempts \(2 so far\)/);
+	assert.equal(revealStatus(reveal, student, { attempts: 3 }).allowed, true);
+	assert.equal(revealStatus(reveal, student, { passed: true, attempts: 0 }).allowed, true);
+});
+
+test('after-deadline: for everyone once the deadline passed', () => {
+	const reveal = { policy: 'after-deadline', deadline: '2025-06-30T23:59:00+02:00' };
+	const before = revealStatus(reveal, null, {}, new Date('2025-06-30T12:00:00Z'));
+	assert.equal(before.allowed, false);
+	assert.equal(before.deadline, '2025-06-30T21:59:00.000Z');
+	assert.equal(revealStatus(reveal, null, {}, new Date('2025-07-01T00:00:00Z')).allowed, true);
+});
+
+test('instructor-only: never for students, always for instructors', () => {
+	const reveal = { policy: 'instructor-only' };
+	assert.equal(revealStatus(reveal, student, { passed: true }).allowed, false);
+	assert.equal(revealStatus(reveal, instructor).allowed, true);
+	assert.equal(revealStatus(reveal, { role: 'admin' }).allowed, true);
+});
+
+test('an invalid policy shows students nothing instead of throwing', () => {
+	const reveal = { policy: 'after-deadline', deadline: 'not a date' };
+	const status = revealStatus(reveal, student, { passed: true });
+	assert.equal(status.allowed, false);
+	assert.equal(status.policy, 'after-deadline');
+	assert.match(status.reason, /invalid/);
+	assert.equal(revealStatus(reveal, instructor).allowed, true);
+	assert.equal(revealStatus(undefined, student).policy, null);
+});
+
+test('hints unlock in order', () => {
+	const exercise = { id: 'ex1', hints: ['first', 'second', 'third'] };
+	assert.deepEqual(hintStatus(exercise, 0), { total: 3, revealed: [] });
+	assert.deepEqual(hintStatus(exercise, 2), { total: 3, revealed: ['first', 'second'] });
+	assert.deepEqual(hintStatus({}, 1), { total: 0, revealed: [] });
+	assert.deepEqual(validateExerciseHints(exercise), []);
+	assert.deepEqual(validateExerciseHints({ id: 'ex2', hints: ['ok', ' '] }), ['ex2 hints must be a list of non-empty strings']);
+});
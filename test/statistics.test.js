@@ -0,0 +1,89 @@
+// test/statistics.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { StatisticsStore } = require('../lib/statistics');
+
+async function tempDir(t) {
+	const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bex-stats-'));
+	t.after(() => fs.rm(dir, { recursive: true, force: true }));
+	return dir;
+}
+
+const failure = (testNumber, reason) => ({ passed: false, failures: [{ testNumber, reason }] });
+
+test('counts attempts, failures per test and attempts until success', async (t) => {
+	const store = new StatisticsStore({ dir: await tempDir(t) });
+	await store.recordAttempt('ex1', { ...failure(2, 'wrong_output'), username: 'alice' });
+	await store.recordAttempt('ex1', { ...failure(2, 'timeout'), username: 'alice' });
+	await store.recordAttempt('ex1', { passed: true, username: 'alice' });
+	await store.recordAttempt('ex1', { passed: true, username: 'alice' }); // passed before: not counted again
+	await store.recordAttempt('ex1', { passed: true, username: 'bob' });
+	const stats = await store.recordAttempt('ex1', { passed: true }); // anonymous
+
+	assert.equal(stats.totalAttempts, 6);
+	assert.equal(stats.successfulAttempts, 4);
+	assert.equal(stats.failedAttempts, 2);
+	assert.deepEqual(stats.failureReasons, { wrong_output: 1, timeout: 1 });
+	assert.deepEqual(stats.failuresByTest, { 2: { failures: 2, reasons: { wrong_output: 1, timeout: 1 } } });
+	assert.deepEqual(stats.attemptsUntilSuccess, { 1: 1, 3: 1 });
+});
+
+test('get returns zeroes for an exercise that was never run', async (t) => {
+	const store = new StatisticsStore({ dir: await tempDir(t) });
+	const stats = await store.get('unknown');
+	assert.equal(stats.totalAttempts, 0);
+	assert.equal(stats.lastAttempt, null);
+	assert.deepEqual(await store.all(), {});
+});
+
+test('concurrent attempts are all counted', async (t) => {
+	const store = new StatisticsStore({ dir: await tempDir(t) });
+	await Promise.all(Array.from({ length: 20 }, () => store.recordAttempt('ex1', { passed: true })));
+	assert.equal((await store.get('ex1')).totalAttempts, 20);
+});
+
+test('state survives a restart, with and without compaction', async (t) => {
+	const dir = await tempDir(t);
+	const store = new StatisticsStore({ dir, compactEvery: 3 });
+	for (let i = 0; i < 4; i++) await store.recordAttempt('ex1', { ...failure(1, 'wrong_output'), username: 'alice' });
+	await store.recordAttempt('ex1', { passed: true, username: 'alice' });
+
+	// 3 events folded into the snapshot, 2 still in the log
+	const log = await fs.readFile(path.join(dir, 'events.jsonl'), 'utf8');
+	assert.equal(log.trim().split('\n').length, 2);
+
+	const reloaded = await new StatisticsStore({ dir }).get('ex1');
+	assert.equal(reloaded.totalAttempts, 5);
+	assert.deepEqual(reloaded.attemptsUntilSuccess, { 5: 1 });
+});
+
+test('a torn last line is dropped and the next event starts a line of its own', async (t) => {
+	const dir = await tempDir(t);
+	await new StatisticsStore({ dir }).recordAttempt('ex1', { passed: true });
+	await fs.appendFile(path.join(dir, 'events.jsonl'), '{"seq":2,"type":"att', 'utf8');
+
+	const store = new StatisticsStore({ dir });
+	await store.recordAttempt('ex1', { passed: false, failures: [] });
+	assert.equal((await store.get('ex1')).totalAttempts, 2);
+
+	const reloaded = await new StatisticsStore({ dir }).get('ex1');
+	assert.equal(reloaded.totalAttempts, 2);
+	assert.equal(reloaded.failedAttempts, 1);
+});
+
+test('imports a legacy statistics.json once', async (t) => {
+	const dir = await tempDir(t);
+	const legacyPath = path.join(dir, 'statistics.json');
+	await fs.writeFile(legacyPath, JSON.stringify({ ex1: { totalAttempts: 7, successfulAttempts: 3, failedAttempts: 4 } }));
+
+	const store = new StatisticsStore({ dir: path.join(dir, 'statistics'), legacyPath });
+	const stats = await store.recordAttempt('ex1', { passed: true });
+	assert.equal(stats.totalAttempts, 8);
+	assert.equal(stats.successfulAttempts, 4);
+	await assert.rejects(fs.access(legacyPath));
+	await fs.access(`${legacyPath}.migrated`);
+});
@@ -0,0 +1,113 @@
+// validate-exercises.js
+// Checks the exercise catalogue (exercises-internal.json) the way the server would
+// run it: every reference solution must pass its own test cases, every fixture a
+// test case names must exist, ids must be unique and every fixture should be used.
+// Exits with 1 when anything is wrong, so it can run in CI (see lib/catalogue.js).
+//
+// Usage: npm run validate-exercises -- [--executor docker|local|interpreter] [--json] [id ...]
+// The executor defaults to the configured one (config.json / BEX_EXECUTOR). Docker
+// tests run without the warm pool, so this is safe next to a running server.
+
+const { loadConfig } = require('./lib/config');
+const { ExerciseStore } = require('./lib/exercise-store');
+const { Executors, EXECUTOR_NAMES } = require('./lib/executors');
+const { JobQueue } = require('./lib/job-queue');
+const { Runner } = require('./lib/runner');
+const { checkCatalogue } = require('./lib/catalogue');
+
+function usage(message) {
+	console.error(message);
+	console.error(`Usage: validate-exercises.js [--executor ${EXECUTOR_NAMES.join('|')}] [--json] [id ...]`);
+	process.exit(2);
+}
+
+function parseArgs(argv) {
+	const options = { executor: null, json: false, ids: [] };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === '--json') {
+			options.json = true;
+		} else if (arg === '--executor') {
+			options.executor = argv[++i];
+			if (!EXECUTOR_NAMES.includes(options.executor)) usage(`Unknown executor "${options.executor}"`);
+		} else if (arg.startsWith('-')) {
+			usage(`Unknown option ${arg}`);
+		} else {
+			options.ids.push(arg);
+		}
+	}
+	return options;
+}
+
+function printExercise(entry) {
+	if (entry.skipped) {
+		console.log(`SKIP ${entry.id}`);
+		for (const problem of entry.problems) console.log(`       ${problem}`);
+		return;
+	}
+	console.log(`${entry.passed ? 'PASS' : 'FAIL'} ${entry.id} (${entry.tests - entry.failingTests.length}/${entry.tests})`);
+	for (const test of entry.failingTests) {
+		console.log(`       test ${test.testNumber}: ${test.outcome}${test.error ? ` - ${test.error}` : ''}`);
+	}
+}
+
+function printSummary(report) {
+	for (const id of report.duplicateIds) console.log(`Duplicate id: ${id}`);
+	for (const { exerciseId, testNumber, fixture } of report.missingFixtures) {
+		console.log(`Missing fixture: ${fixture} (${exerciseId} test ${testNumber})`);
+	}
+	for (const name of report.unusedFixtures) console.log(`Unused fixture: ${name}`);
+
+	const failed = report.exercises.filter(entry => !entry.passed).length;
+	console.log(`\n${report.exercises.length - failed}/${report.exercises.length} exercises passed`
+		+ (report.ok ? '' : ', catalogue has problems'));
+}
+
+async function main() {
+	const options = parseArgs(process.argv.slice(2));
+	let config;
+	try {
+		config = loadConfig({ baseDir: __dirname });
+	} catch (err) {
+		console.error(err.message);
+		process.exit(2);
+	}
+
+	const store = new ExerciseStore({ filePath: config.exercisesPath, fixturesDir: config.fixturesDir });
+	const exercises = await store.all();
+	const unknown = options.ids.filter(id => !exercises.some(ex => ex.id === id));
+	if (unknown.length > 0) usage(`Unknown exercise ${unknown.join(', ')}`);
+
+	// Cold `docker run`s only: starting a pool would remove the containers and
+	// workspaces of the server's own pool (same label and tmpDirPrefix)
+	const executors = new Executors({ ...config, pool: { ...config.pool, size: 0 } });
+	const runner = new Runner({
+		jobQueue: new JobQueue(config.maxParallelTests),
+		fixturesDir: config.fixturesDir,
+		tmpDirPrefix: config.tmpDirPrefix,
+		runnerConfig: config.runner
+	});
+	try {
+		const report = await checkCatalogue(exercises, {
+			fixtureNames: await store.fixtures(),
+			runner,
+			executor: executors.get(options.executor || undefined),
+			runnerConfig: config.runner,
+			ids: options.ids,
+			onExercise: options.json ? undefined : printExercise
+		});
+		if (options.json) {
+			console.log(JSON.stringify(report, null, 2));
+		} else {
+			printSummary(report);
+		}
+		process.exitCode = report.ok ? 0 : 1;
+	} finally {
+		await executors.shutdown();
+	}
+}
+
+main().catch((err) => {
+	console.error('Validation error:', err);
+	process.exit(1);
+});